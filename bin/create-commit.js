@@ -3,6 +3,11 @@
 import { program } from "commander";
 import { generateCommitMessage } from "../src/createCommit.js";
 import { loadConfig } from "../src/config.js";
+import {
+  formatEngineHelp,
+  getEngineNames,
+  loadEnginePlugins,
+} from "../src/engines/registry.js";
 import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
@@ -15,10 +20,131 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, "../package.json"), "utf-8"),
 );
 
+// Register engine plugins from .taskfoundry.json so they appear in --help
+try {
+  await loadEnginePlugins(loadConfig().plugins);
+} catch (error) {
+  console.warn(`Warning: ${error.message}`);
+}
+
+const hook = program
+  .command("hook")
+  .description("Manage the git hooks that pre-fill and lint commit messages");
+
+hook
+  .command("install [name]")
+  .description(
+    "Install a hook (respects core.hooksPath): prepare-commit-msg (default) pre-fills the message of a plain `git commit`, commit-msg rejects messages that fail `create-commit lint`",
+  )
+  .option("--force", "Replace an existing hook not installed by taskfoundry")
+  .option("--fix", "commit-msg: repair failing messages with the engine")
+  .action(async (name = "prepare-commit-msg", options) => {
+    try {
+      const { installHook } = await import("../src/hooks.js");
+      const path = installHook(name, options);
+      console.log(`✅ Installed ${path}`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+hook
+  .command("uninstall [name]")
+  .description("Remove a hook (default: prepare-commit-msg)")
+  .action(async (name = "prepare-commit-msg") => {
+    try {
+      const { uninstallHook } = await import("../src/hooks.js");
+      const path = uninstallHook(name);
+      console.log(
+        path
+          ? `✅ Removed ${path}`
+          : `No taskfoundry ${name} hook is installed`,
+      );
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("lint [file]")
+  .description(
+    "Check a commit message file or the commits in a range against the conventional commit rules",
+  )
+  .option("--range <a..b>", "Lint every commit in a range, e.g. main..HEAD")
+  .option("--fix", "Rewrite a failing message file with the engine")
+  .option(
+    "--engine <engine>",
+    `Engine for --fix: auto, ${getEngineNames().join(", ")}`,
+  )
+  .option("--model <model>", "AI model for --fix")
+  .action(async (file, options) => {
+    try {
+      const { lintCommits } = await import("../src/commitLint.js");
+      const passed = await lintCommits({ ...loadConfig(options), file });
+      process.exit(passed ? 0 : 1);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("style")
+  .description(
+    "Show the commit style learned from the repository's history (scopes, casing, tickets, gitmoji, example headers)",
+  )
+  .option("--refresh", "Learn the style again instead of using the cache")
+  .option("--output <format>", "Output format: text (default) or json")
+  .action(async (options) => {
+    try {
+      const { formatCommitStyle, getCommitStyle } = await import(
+        "../src/commitStyle.js"
+      );
+      const profile = getCommitStyle(
+        { commitStyle: { ...loadConfig().commitStyle, enabled: true } },
+        options,
+      );
+      if (!profile) {
+        throw new Error("No commits to learn the style from");
+      }
+
+      console.log(
+        options.output === "json"
+          ? JSON.stringify(profile, null, 2)
+          : formatCommitStyle(profile),
+      );
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Called by the installed hook with git's hook arguments; always exits 0 so
+// the commit is never blocked
+hook
+  .command("run <name> [args...]", { hidden: true })
+  .action(async (name, args) => {
+    try {
+      const { runPrepareCommitMsg } = await import("../src/hooks.js");
+      if (name === "prepare-commit-msg") {
+        const [messageFile, source] = args;
+        await runPrepareCommitMsg(messageFile, source, loadConfig());
+      }
+    } catch (error) {
+      console.error(`⚠️  taskfoundry hook failed: ${error.message}`);
+    }
+    // A timed-out engine request would otherwise keep the process alive
+    process.exit(0);
+  });
+
 program
   .name("create-commit")
   .description("Generate conventional commit message from staged changes")
   .version(packageJson.version)
+  // Options after "hook install" belong to the subcommand
+  .enablePositionalOptions()
   .option(
     "--type <type>",
     "Commit type: feat, fix, docs, style, refactor, perf, test, chore, ci, build",
@@ -27,21 +153,54 @@ program
   .option("--breaking", "Mark as breaking change")
   .option(
     "--engine <engine>",
-    "Engine to use: auto, openai, groq, freetier, or local",
+    `Engine to use: auto, ${getEngineNames().join(", ")}`,
   )
   .option("--model <model>", "AI model to use")
   .option("--temperature <temp>", "AI temperature (0-2)", parseFloat)
+  .option(
+    "--max-diff-tokens <tokens>",
+    "Split diffs larger than this into chunks that are summarised and merged",
+    parseInt,
+  )
+  .option("--exclude <patterns>", "Comma-separated exclude patterns")
+  .option("--template <path>", "Custom prompt template file")
   .option("--file <path>", "Save commit message to file instead of stdout")
   .option("--copy", "Copy commit message to clipboard (macOS only)")
+  .option(
+    "-i, --interactive",
+    "Review the message (accept, regenerate, edit, change type or scope) and commit it",
+  )
+  .option("--commit", "Commit the staged changes with the generated message")
+  .option(
+    "--candidates <n>",
+    "Generate n messages at rising temperatures and use the best-scoring one (pick with -i)",
+    parseInt,
+  )
+  .option(
+    "--split",
+    "Group the staged hunks into several commits and show the plan (apply with --commit, or -i to confirm)",
+  )
+  .option("--no-style", "Don't show the engine the repository's commit style")
+  .option("--output <format>", "Output format: text (default) or json")
   .option("--verbose", "Enable verbose logging")
   .action(async (options) => {
     try {
       const config = loadConfig(options);
+      if (!["text", "json"].includes(options.output || "text")) {
+        throw new Error('Output format must be "text" or "json"');
+      }
+      if (
+        options.candidates !== undefined &&
+        !(options.candidates >= 1 && options.candidates <= 10)
+      ) {
+        throw new Error("--candidates must be a number from 1 to 10");
+      }
       if (typeof config.exclude === "string") {
         config.excludePatterns = config.exclude.split(",").map((p) => p.trim());
       }
 
-      await generateCommitMessage(config);
+      // The project's output format is meant for tasks, not commit messages
+      await generateCommitMessage({ ...config, output: options.output });
     } catch (error) {
       console.error("Error:", error.message);
 
@@ -62,15 +221,25 @@ program.addHelpText(
     $ create-commit --scope api             # Add scope
     $ create-commit --breaking              # Mark as breaking change
     $ create-commit --engine freetier       # Use free tier (no API key required)
+    $ create-commit --exclude "docs/**"     # Ignore matching files in the diff
+    $ create-commit --template commit.txt   # Use a custom prompt template
     $ create-commit --file commit-msg.txt   # Save to file
     $ create-commit --copy                  # Copy to clipboard (macOS)
+    $ create-commit -i                      # Review, edit and commit
+    $ create-commit --commit                # Commit without prompting
+    $ create-commit --candidates 3 -i       # Pick one of three messages
+    $ create-commit --output json           # Message and its parts as JSON
+    $ create-commit --split                 # Preview a split into atomic commits
+    $ create-commit --split --commit        # Make the commits
+    $ create-commit style                   # Show the learned commit style
+    $ create-commit hook install            # Pre-fill messages on \`git commit\`
+    $ create-commit hook uninstall          # Remove the hook
+    $ create-commit hook install commit-msg # Reject non-conventional messages
+    $ create-commit lint --range main..HEAD # Lint the commits on a branch
+    $ create-commit lint msg.txt --fix      # Repair a message with the engine
   
   Engines:
-    auto        Automatically selects best available engine (default)
-    groq        Use Groq API (requires GROQ_API_KEY)
-    openai      Use OpenAI API (requires OPENAI_API_KEY)
-    freetier    Use free tier (no API key required, 50 requests/day)
-    local       Use local model endpoint
+${formatEngineHelp("    ")}
   
   Commit Types:
     feat      A new feature
@@ -90,7 +259,10 @@ program.addHelpText(
   Environment Variables:
     GROQ_API_KEY                            # Groq API key
     OPENAI_API_KEY                         # OpenAI API key
-    LOCAL_MODEL_ENDPOINT                   # Local model endpoint
+    HUGGINGFACE_API_KEY                    # Hugging Face access token
+    LOCAL_MODEL_ENDPOINT                   # Local model endpoint (default: http://localhost:11434)
+    LOCAL_MODEL_NAME                       # Local model name (default: llama2)
+    LOCAL_MODEL_API                        # Local API style: ollama or openai (auto-detected)
     `,
 );
 
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import { program } from "commander";
+import { generatePrDescription } from "../src/createPr.js";
+import { loadConfig } from "../src/config.js";
+import {
+  formatEngineHelp,
+  getEngineNames,
+  loadEnginePlugins,
+} from "../src/engines/registry.js";
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load package.json for version
+const packageJson = JSON.parse(
+  readFileSync(join(__dirname, "../package.json"), "utf-8"),
+);
+
+// Register engine plugins from .taskfoundry.json so they appear in --help
+try {
+  await loadEnginePlugins(loadConfig().plugins);
+} catch (error) {
+  console.warn(`Warning: ${error.message}`);
+}
+
+program
+  .name("create-pr")
+  .description(
+    "Generate a pull request description from the current branch's changes",
+  )
+  .version(packageJson.version)
+  .option("--branch <branch>", "Branch to describe (default: current branch)")
+  .option(
+    "--base-branch <branch>",
+    "Branch the pull request merges into (default: baseBranch from config, or main)",
+  )
+  .option(
+    "--pr-template <path>",
+    "Pull request template to fill in (default: the repository's pull_request_template.md)",
+  )
+  .option("--output <format>", "Output format: markdown or json")
+  .option(
+    "--engine <engine>",
+    `Engine to use: auto, ${getEngineNames().join(", ")}`,
+  )
+  .option("--model <model>", "AI model to use")
+  .option("--temperature <temp>", "AI temperature (0-2)", parseFloat)
+  .option(
+    "--max-diff-tokens <tokens>",
+    "Split diffs larger than this into chunks that are summarised and merged",
+    parseInt,
+  )
+  .option("--exclude <patterns>", "Comma-separated exclude patterns")
+  .option("--template <path>", "Custom prompt template file")
+  .option("--file <path>", "Save the description to file instead of stdout")
+  .option(
+    "--submit",
+    "Open the pull request (or update the open one) through the GitHub API, or gh when no token is configured",
+  )
+  .option("--draft", "Open the pull request as a draft (with --submit)")
+  .option("--verbose", "Enable verbose logging")
+  .action(async (options) => {
+    try {
+      const config = loadConfig(options);
+      if (typeof config.exclude === "string") {
+        config.excludePatterns = config.exclude.split(",").map((p) => p.trim());
+      }
+
+      // The project's output format is meant for tasks, not pull requests
+      const output = options.output || "markdown";
+      if (!["markdown", "json"].includes(output)) {
+        throw new Error('Output format must be "markdown" or "json"');
+      }
+
+      await generatePrDescription({ ...config, output });
+    } catch (error) {
+      console.error("Error:", error.message);
+
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+
+      process.exit(1);
+    }
+  });
+
+program.addHelpText(
+  "after",
+  `
+  Examples:
+    $ create-pr                             # Describe the current branch against main
+    $ create-pr --base-branch develop       # Compare against another base branch
+    $ create-pr --file pr.md                # Save the body for gh pr create --body-file
+    $ create-pr --output json               # Title, body and metadata as JSON
+    $ create-pr --submit                    # Open or update the pull request on GitHub
+    $ create-pr --submit --draft            # Open it as a draft
+    $ create-pr --pr-template .github/PULL_REQUEST_TEMPLATE/feature.md
+
+  Engines:
+${formatEngineHelp("    ")}
+
+  Pull Request Templates:
+    The headings of .github/pull_request_template.md (or one in the repository
+    root or docs/) become the sections of the description, and HTML comments
+    below them guide the engine. Without a template the description has
+    Summary, Changes, Testing and Risks sections. The prompt itself can be
+    customised with --template or templates.pr in .taskfoundry.json
+    ({sections} lists the headings).
+
+  Submitting:
+    --submit uses the GitHub API when a token is configured
+    (create-task setup --integration github, or GITHUB_TOKEN) and the gh CLI
+    otherwise. The branch must already be pushed.
+
+  Configuration:
+    Uses the same .taskfoundry.json config file as create-task
+    `,
+);
+
+program.parse(process.argv);
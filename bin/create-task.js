@@ -3,6 +3,12 @@
 import { program } from "commander";
 import { generateTaskFromDiff } from "../src/createTask.js";
 import { loadConfig, getConfigSchema } from "../src/config.js";
+import {
+  formatEngineHelp,
+  getEngineNames,
+  loadEnginePlugins,
+} from "../src/engines/registry.js";
+import { getPushTargets } from "../src/integrations/index.js";
 import { readFileSync, writeFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
@@ -15,28 +21,104 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, "../package.json"), "utf-8"),
 );
 
+// Register engine plugins from .taskfoundry.json so they appear in --help
+try {
+  await loadEnginePlugins(loadConfig().plugins);
+} catch (error) {
+  console.warn(`Warning: ${error.message}`);
+}
+
 program
   .command("setup")
   .description("Configure API keys for unlimited access")
-  .action(async () => {
-    const { interactiveSetup } = await import("../src/utils/keyManager.js");
-    await interactiveSetup();
+  .option(
+    "--integration <service>",
+    "Store a token for --push instead (github, gitlab, jira, azure-devops)",
+  )
+  .action(async (options) => {
+    const { interactiveSetup, promptForToken } = await import(
+      "../src/utils/keyManager.js"
+    );
+
+    try {
+      if (options.integration) {
+        await promptForToken(options.integration);
+      } else {
+        await interactiveSetup();
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
   });
 
 program
   .name("create-task")
   .description("Generate task content from Git diff using AI")
   .version(packageJson.version)
+  // Options after a subcommand name (e.g. changelog --output json) belong to
+  // the subcommand, not to task generation
+  .enablePositionalOptions()
   .option("--staged", "Use staged changes (git diff --cached)")
-  .option("--output <format>", "Output format: markdown or json")
+  .option(
+    "--worktree",
+    "Use all work in progress: staged, unstaged and untracked files",
+  )
+  .option(
+    "--output <format>",
+    "Output format: markdown, json, azure-devops (JSON-Patch), github, gitlab or jira (issue payloads)",
+  )
+  .option(
+    "--push <target>",
+    `Create the task in a tracker: ${getPushTargets().join(", ")}`,
+  )
   .option(
     "--engine <engine>",
-    "Engine to use: auto, groq, openai, freetier, or local",
+    `Engine to use: auto, ${getEngineNames().join(", ")}`,
   )
   .option("--model <model>", "AI model to use")
   .option("--temperature <temp>", "AI temperature (0-2)", parseFloat)
   .option("--max-tokens <tokens>", "Maximum tokens for AI response", parseInt)
+  .option(
+    "--max-diff-tokens <tokens>",
+    "Split diffs larger than this into chunks that are summarised and merged",
+    parseInt,
+  )
   .option("--commit <hash>", "Compare against specific commit")
+  .option("--range <a..b>", "Use the changes in a commit range")
+  .option(
+    "--branch <name>",
+    "Use the changes on a branch since its merge-base with the base branch",
+  )
+  .option(
+    "--base-branch <name>",
+    "Base branch for --branch (default: main, or baseBranch in config)",
+  )
+  .option("--since <date>", 'Use the commits since a date (e.g. "2 weeks ago")')
+  .option(
+    "--diff-file <path>",
+    "Read the diff from a patch file (no git repository needed)",
+  )
+  .option("--stdin", "Read the diff from stdin (no git repository needed)")
+  .option(
+    "--per-commit",
+    "Generate one task per commit of --range, --branch or --since",
+  )
+  .option(
+    "--output-dir <dir>",
+    "Directory for the per-commit markdown files (--per-commit)",
+  )
+  .option(
+    "--concurrency <n>",
+    "Commits processed in parallel (--per-commit)",
+    parseInt,
+  )
+  .option(
+    "--rate-limit <rpm>",
+    "Engine requests per minute shared by all workers (--per-commit)",
+    parseFloat,
+  )
+  .option("--resume", "Skip commits that already have results (--per-commit)")
   .option("--file <path>", "Save output to file instead of stdout")
   .option("--config <path>", "Path to custom config file")
   .option("--no-file-names", "Exclude file names from analysis")
@@ -56,6 +138,11 @@ program
         config.excludePatterns = config.exclude.split(",").map((p) => p.trim());
       }
 
+      // Commander stores --no-file-names/--no-diff-stats as fileNames/diffStats
+      // (defaulting to true), so only an explicit opt-out overrides the config
+      if (options.fileNames === false) config.includeFileNames = false;
+      if (options.diffStats === false) config.includeDiffStats = false;
+
       // If user specified a specific engine but it fails, offer auto fallback
       if (options.retry && config.engine !== "auto") {
         try {
@@ -103,26 +190,41 @@ program.addHelpText(
     Examples:
       $ create-task                           # Auto-detects best engine with fallback
       $ create-task --staged                  # Generate from staged changes  
+      $ create-task --worktree                # Staged, unstaged and untracked changes
       $ create-task --retry                   # Enable automatic fallback on failure
       $ create-task --engine auto             # Explicit auto mode (default)
       $ create-task --engine groq             # Force Groq (no fallback)
+      $ create-task --engine huggingface      # Force Hugging Face (no fallback)
       $ create-task --output json             # Output as JSON
       $ create-task --detailed                # Generate detailed task description
       $ create-task --file task.md            # Save to file
       $ create-task --commit abc123           # Compare against specific commit
+      $ create-task --range v1.2.0..HEAD      # Changes in a commit range
+      $ create-task --branch feature/login    # Branch changes since merge-base with main
+      $ create-task --since "2 weeks ago"     # Changes from recent commits
+      $ create-task --output azure-devops     # JSON-Patch for the Work Items API
+      $ create-task --push azure-devops       # Create an Azure DevOps work item
+      $ create-task --push github             # Open a GitHub issue in the origin repository
+      $ create-task --push jira               # Create a Jira issue (description in ADF)
+      $ create-task --push gitlab             # Open a GitLab issue
+      $ create-task --branch feature/login --push gitlab-mr  # Describe the branch's open MR
+      $ create-task --diff-file fix.patch     # Describe a patch file
+      $ git diff main | create-task --stdin   # Describe a piped diff
+      $ create-task --range main..HEAD --per-commit --output json --file tasks.json
+      $ create-task --branch feature/login --per-commit --output-dir tasks/ --resume
+      $ create-task --max-diff-tokens 6000    # Summarise large diffs in chunks
+      $ create-task --template prompt.txt     # Use a custom prompt template
     
     Setup:
       $ create-task setup                     # Interactive API key setup (system-wide)
+      $ create-task setup --integration github  # Store a token for --push github
+      $ create-task changelog --from v0.4.1   # Release notes from conventional commits
+      $ create-task changelog --summary --prepend CHANGELOG.md
       $ create-task config --list             # View current configuration
       $ create-task config --reset            # Reset system-wide config
     
     Engines (with automatic fallback in auto mode):
-      auto        Tries engines in order: groq → openai → huggingface → freetier
-      groq        Use Groq API only (configure with: create-task setup)
-      openai      Use OpenAI API only (configure with: create-task setup)
-      huggingface Use Hugging Face API only (configure with: create-task setup)
-      freetier    Use free tier only (no setup required, 50 requests/day)
-      local       Use local model endpoint
+${formatEngineHelp("      ")}
     
     Fallback Behavior:
       • Auto mode automatically tries available engines if one fails
@@ -130,6 +232,17 @@ program.addHelpText(
       • Rate limits (429) and service errors trigger automatic fallback
       • Authentication errors (401) don't trigger fallback
     
+    Engine Plugins:
+      List npm packages or local files under "plugins" in .taskfoundry.json.
+      Each module default-exports an engine definition ({ name, call, ... })
+      or an array of them; plugin engines work with --engine and auto mode.
+
+    Prompt Templates:
+      Templates are plain text with placeholders: {diff}, {files}, {branch},
+      {stats}, {commits}, {type} and {format} (the response format - keep it
+      so replies can be parsed). Set one with --template, customPrompt, or
+      templates.prompt / templates.commit in .taskfoundry.json.
+
     Configuration Priority (highest to lowest):
       1. CLI arguments                        # --engine groq --detailed
       2. Project config                       # .taskfoundry.json in current directory
@@ -258,6 +371,43 @@ program
     }
   });
 
+program
+  .command("changelog")
+  .description(
+    "Generate release notes from the conventional commits in a range",
+  )
+  .option(
+    "--from <ref>",
+    "Start of the range, exclusive (default: the latest tag before --to)",
+  )
+  .option("--to <ref>", "End of the range", "HEAD")
+  .option(
+    "--release <name>",
+    'Heading for the release (default: --to, or "Unreleased" for HEAD)',
+  )
+  .option("--output <format>", "Output format: markdown or json")
+  .option("--file <path>", "Save to file instead of stdout")
+  .option("--prepend <path>", "Add the release notes to the top of a changelog")
+  .option("--summary", "Add a summary paragraph written by the AI engine")
+  .option(
+    "--engine <engine>",
+    `Engine for --summary: auto, ${getEngineNames().join(", ")}`,
+  )
+  .option("--model <model>", "AI model to use for --summary")
+  .action(async (options) => {
+    try {
+      const { generateChangelog } = await import("../src/changelog.js");
+      // The project's output format is meant for tasks, not release notes
+      await generateChangelog({
+        ...loadConfig(options),
+        output: options.output || "markdown",
+      });
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command("init")
   .description("Create a default .taskfoundry.json config file")
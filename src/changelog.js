@@ -0,0 +1,206 @@
+// src/changelog.js
+import { execSync } from "child_process";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { generateTaskFromDiff as callAIEngine } from "./engines/index.js";
+import { parseCommitMessage } from "./models.js";
+import { getLatestTag, listCommits } from "./utils/git.js";
+
+// Headings for the types in COMMIT_TYPES, in the order they are listed;
+// commits with any other type (or none) end up under "Other Changes"
+export const CHANGELOG_SECTIONS = {
+  feat: "Features",
+  fix: "Bug Fixes",
+  perf: "Performance Improvements",
+  refactor: "Code Refactoring",
+  docs: "Documentation",
+  style: "Styles",
+  test: "Tests",
+  build: "Build System",
+  ci: "Continuous Integration",
+  chore: "Chores",
+};
+
+const OTHER_SECTION = "Other Changes";
+
+const CONVENTIONAL_HEADER = /^\w+(\([^)]*\))?!?:/;
+
+// One changelog entry per commit; merge commits are left out
+export function parseChangelogCommits(commits) {
+  return commits
+    .filter(
+      (commit) =>
+        !/^Merge (branch|pull request|remote-tracking)/.test(commit.subject),
+    )
+    .map((commit) => {
+      const conventional = CONVENTIONAL_HEADER.test(commit.subject);
+      const parsed = parseCommitMessage(commit.message);
+
+      return {
+        hash: commit.hash.substring(0, 7),
+        type: conventional ? parsed.type : null,
+        scope: conventional ? parsed.scope : "",
+        description: conventional ? parsed.description : commit.subject,
+        breaking: conventional && parsed.breaking,
+        breakingDescription: conventional
+          ? parsed.breakingDescription ||
+            (parsed.breaking ? parsed.description : "")
+          : "",
+        author: commit.author,
+        date: commit.date,
+      };
+    });
+}
+
+// Group entries by type (in CHANGELOG_SECTIONS order) and then by scope,
+// unscoped entries first
+export function groupChangelog(entries) {
+  const sections = [
+    ...Object.entries(CHANGELOG_SECTIONS),
+    [null, OTHER_SECTION],
+  ]
+    .map(([type, title]) => {
+      const matching = entries.filter((entry) =>
+        type
+          ? entry.type === type
+          : !Object.hasOwn(CHANGELOG_SECTIONS, entry.type),
+      );
+
+      const scopes = [...new Set(matching.map((entry) => entry.scope))]
+        .sort((a, b) => (a === "" ? -1 : b === "" ? 1 : a.localeCompare(b)))
+        .map((scope) => ({
+          scope,
+          commits: matching.filter((entry) => entry.scope === scope),
+        }));
+
+      return { type: type || "other", title, scopes };
+    })
+    .filter((section) => section.scopes.length > 0);
+
+  return {
+    breaking: entries.filter((entry) => entry.breaking),
+    sections,
+  };
+}
+
+function formatEntry(entry, text = entry.description) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : "";
+  return `- ${scope}${text} (${entry.hash})`;
+}
+
+export function formatChangelogMarkdown(changelog) {
+  const lines = [`## ${changelog.version} (${changelog.date})`];
+
+  if (changelog.summary) {
+    lines.push("", changelog.summary);
+  }
+
+  if (changelog.breaking.length > 0) {
+    lines.push("", "### ⚠ BREAKING CHANGES", "");
+    for (const entry of changelog.breaking) {
+      lines.push(formatEntry(entry, entry.breakingDescription));
+    }
+  }
+
+  for (const section of changelog.sections) {
+    lines.push("", `### ${section.title}`, "");
+    for (const { commits } of section.scopes) {
+      lines.push(...commits.map((entry) => formatEntry(entry)));
+    }
+  }
+
+  return lines.join("\n");
+}
+
+export function formatChangelogJSON(changelog) {
+  return JSON.stringify(changelog, null, 2);
+}
+
+// Insert a release at the top of a changelog file, below its "# Title"
+// heading and intro when there is one
+export function prependToChangelog(path, markdown) {
+  const existing = existsSync(path) ? readFileSync(path, "utf-8") : "";
+  const firstRelease = existing.search(/^## /m);
+
+  let content;
+  if (firstRelease > 0) {
+    content = `${existing.slice(0, firstRelease)}${markdown}\n\n${existing.slice(firstRelease)}`;
+  } else if (firstRelease === -1 && /^# /.test(existing)) {
+    content = `${existing.trimEnd()}\n\n${markdown}\n`;
+  } else {
+    content = existing
+      ? `${markdown}\n\n${existing}`
+      : `# Changelog\n\n${markdown}\n`;
+  }
+
+  writeFileSync(path, content);
+}
+
+// Build the changelog for from..to; from defaults to the latest tag before
+// to (or the whole history when there are no tags)
+export function buildChangelog({ from, to = "HEAD", release } = {}) {
+  // A tag as the end of the range should not be its own starting point
+  const start = from ?? getLatestTag(`${to}^`);
+  const range = start ? `${start}..${to}` : to;
+
+  const entries = parseChangelogCommits(listCommits([range])).reverse();
+  if (entries.length === 0) {
+    throw new Error(`No commits found in ${range}`);
+  }
+
+  return {
+    version: release || (to === "HEAD" ? "Unreleased" : to),
+    // Date of the newest commit, so notes for an old tag keep its date
+    date: entries[0].date.substring(0, 10),
+    from: start || null,
+    to,
+    summary: null,
+    ...groupChangelog(entries),
+  };
+}
+
+export async function generateChangelog(options) {
+  try {
+    try {
+      execSync("git rev-parse --git-dir", { stdio: "ignore" });
+    } catch {
+      throw new Error("Not a git repository");
+    }
+
+    const output = options.output || "markdown";
+    if (!["markdown", "json"].includes(output)) {
+      throw new Error('Output format must be "markdown" or "json"');
+    }
+
+    const changelog = buildChangelog(options);
+
+    // The engine writes the summary from the grouped entries, not the diff
+    if (options.summary) {
+      const result = await callAIEngine(formatChangelogMarkdown(changelog), {
+        ...options,
+        changelogMode: true,
+        diffSource: `range:${changelog.from || ""}..${changelog.to}`,
+      });
+      changelog.summary = result.summary;
+    }
+
+    const formatted =
+      output === "json"
+        ? formatChangelogJSON(changelog)
+        : formatChangelogMarkdown(changelog);
+
+    if (options.prepend) {
+      if (output === "json") {
+        throw new Error("--prepend needs markdown output");
+      }
+      prependToChangelog(options.prepend, formatted);
+      console.log(`✅ Release notes added to ${options.prepend}`);
+    } else if (options.file) {
+      writeFileSync(options.file, `${formatted}\n`);
+      console.log(`✅ Changelog saved to ${options.file}`);
+    } else {
+      console.log(formatted);
+    }
+  } catch (error) {
+    throw new Error(`Error generating changelog: ${error.message}`);
+  }
+}
@@ -0,0 +1,267 @@
+// src/commitLint.js
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { repairCommitMessage, validateCommitType } from "./createCommit.js";
+import { COMMIT_TYPES } from "./models.js";
+import { listCommits } from "./utils/git.js";
+
+export const HEADER_MAX_LENGTH = 72;
+
+const HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+
+// Messages git writes itself (merges, reverts) and autosquash markers
+export const EXEMPT = /^(Merge |Revert "|fixup! |squash! |amend! )/;
+
+// Verbs commit descriptions commonly start with, to recognise "adds"/"fixes"
+const COMMON_VERBS = new Set(
+  "add allow avoid bump call change check clean convert correct create delete disable document drop enable ensure extract fix handle implement improve introduce load make merge move optimize parse pass prevent read refactor remove rename replace return revert set show simplify skip support throw update upgrade use validate write".split(
+    " ",
+  ),
+);
+
+// Words ending in -ed/-ing that are imperative verbs themselves
+const IMPERATIVE_EXCEPTIONS = new Set(
+  "bring embed exceed feed need proceed ring seed shred speed string succeed".split(
+    " ",
+  ),
+);
+
+// Suffix replacements that turn "fixes", "added", "simplified", "using" ...
+// back into candidate base forms
+const VERB_SUFFIXES = [
+  ["ies", "y"],
+  ["ied", "y"],
+  ["es", ""],
+  ["s", ""],
+  ["ed", ""],
+  ["d", ""],
+  ["ing", ""],
+  ["ing", "e"],
+];
+
+function stems(word) {
+  return VERB_SUFFIXES.filter(([suffix]) => word.endsWith(suffix))
+    .map(([suffix, base]) => word.slice(0, -suffix.length) + base)
+    .flatMap((stem) => [stem, stem.replace(/(\w)\1$/, "$1")]);
+}
+
+// The first word of a description when it is not in the imperative mood, with
+// the imperative form when it is a common verb
+function nonImperative(description) {
+  const word = description.split(/\s+/)[0].toLowerCase();
+  if (IMPERATIVE_EXCEPTIONS.has(word) || COMMON_VERBS.has(word)) return null;
+
+  const verb = stems(word).find((stem) => COMMON_VERBS.has(stem));
+  if (verb || /^[a-z]{3,}(ed|ing)$/.test(word)) {
+    return { word, verb };
+  }
+
+  return null;
+}
+
+// The message git will record: comment lines and everything below the
+// scissors line of `git commit -v` are dropped
+export function cleanCommitMessage(message) {
+  const lines = [];
+  for (const line of message.split("\n")) {
+    if (/^# -+ >8 -+$/.test(line)) break;
+    if (!line.startsWith("#")) lines.push(line.trimEnd());
+  }
+
+  return lines.join("\n").trim();
+}
+
+// Problems as [{ rule, line, message }], empty when the message is fine
+export function lintCommitMessage(message) {
+  const lines = cleanCommitMessage(message).split("\n");
+  const [header] = lines;
+  const problems = [];
+  const report = (rule, line, text) =>
+    problems.push({ rule, line, message: text });
+
+  if (!header) {
+    report("header", 1, "the message is empty");
+    return problems;
+  }
+  if (EXEMPT.test(header)) return problems;
+
+  const match = header.match(HEADER);
+  if (!match) {
+    report(
+      "header",
+      1,
+      'the header must look like "type(scope): description" or "type: description"',
+    );
+  } else {
+    const [, type, scope, , description] = match;
+
+    if (!validateCommitType(type)) {
+      report(
+        "type",
+        1,
+        `unknown type "${type}" (expected one of ${Object.keys(COMMIT_TYPES).join(", ")})`,
+      );
+    }
+
+    if (scope !== undefined && !/^[\w.\-/]+$/.test(scope)) {
+      report(
+        "scope",
+        1,
+        scope
+          ? `scope "${scope}" must be a single word (letters, digits, ".", "-", "/")`
+          : "the scope is empty; drop the parentheses",
+      );
+    }
+
+    if (!description.trim()) {
+      report("description", 1, "the description is empty");
+    } else {
+      const mood = nonImperative(description);
+      if (mood) {
+        report(
+          "imperative",
+          1,
+          mood.verb
+            ? `use the imperative mood: "${mood.verb}", not "${mood.word}"`
+            : `"${mood.word}" is not in the imperative mood (write "add", not "added" or "adding")`,
+        );
+      }
+    }
+  }
+
+  if (header.length > HEADER_MAX_LENGTH) {
+    report(
+      "header-length",
+      1,
+      `the header is ${header.length} characters long (at most ${HEADER_MAX_LENGTH})`,
+    );
+  }
+
+  if (lines.length > 1 && lines[1] !== "") {
+    report(
+      "blank-line",
+      2,
+      "separate the header from the body with a blank line",
+    );
+  }
+
+  lines.forEach((line, index) => {
+    if (!/^BREAKING[ -]?CHANGES?\b/i.test(line)) return;
+
+    if (!/^BREAKING[ -]CHANGE: \S/.test(line)) {
+      report(
+        "breaking-change",
+        index + 1,
+        'write the footer as "BREAKING CHANGE: <description>"',
+      );
+    } else if (index > 0 && lines[index - 1] !== "") {
+      report(
+        "breaking-change",
+        index + 1,
+        "put a blank line before the BREAKING CHANGE footer",
+      );
+    }
+  });
+
+  return problems;
+}
+
+// Headers up to this length get full marks; longer ones lose a point per
+// character until HEADER_MAX_LENGTH, where the header-length rule takes over
+const HEADER_GUIDELINE = 50;
+
+// Points deducted per problem when ranking candidates
+const RULE_PENALTIES = {
+  header: 50,
+  type: 40,
+  description: 40,
+  "header-length": 20,
+  scope: 15,
+  imperative: 15,
+  "blank-line": 10,
+  "breaking-change": 10,
+};
+
+// Score out of 100 against the lint rules and header length guideline
+export function scoreCommitMessage(message) {
+  const problems = lintCommitMessage(message);
+  const header = cleanCommitMessage(message).split("\n")[0];
+
+  const penalty =
+    problems.reduce((sum, { rule }) => sum + RULE_PENALTIES[rule], 0) +
+    Math.max(0, Math.min(header.length, HEADER_MAX_LENGTH) - HEADER_GUIDELINE);
+
+  return { score: Math.max(0, 100 - penalty), problems };
+}
+
+export function formatProblems(problems, indent = "") {
+  return problems
+    .map(
+      ({ rule, line, message }) =>
+        `${indent}✖ line ${line}: ${message} [${rule}]`,
+    )
+    .join("\n");
+}
+
+// Lint every commit in a range; returns [{ hash, subject, problems }] for the
+// commits that have problems
+export function lintCommitRange(range) {
+  return listCommits([range])
+    .map((commit) => ({
+      hash: commit.hash.substring(0, 7),
+      subject: commit.subject,
+      problems: lintCommitMessage(commit.message),
+    }))
+    .filter((result) => result.problems.length > 0);
+}
+
+// `create-commit lint`: checks a message file (the commit-msg hook passes
+// .git/COMMIT_EDITMSG) or a range. Returns true when everything passes.
+export async function lintCommits(options) {
+  if (options.range) {
+    if (options.fix) {
+      throw new Error(
+        "--fix can only repair a message file; reword commits with git rebase",
+      );
+    }
+
+    const failures = lintCommitRange(options.range);
+    for (const { hash, subject, problems } of failures) {
+      console.log(`${hash} ${subject}`);
+      console.log(formatProblems(problems, "  "));
+    }
+
+    if (failures.length === 0) {
+      console.log(`✅ All commits in ${options.range} pass`);
+    }
+    return failures.length === 0;
+  }
+
+  if (!options.file) {
+    throw new Error("Pass a commit message file or --range <a..b>");
+  }
+  if (!existsSync(options.file)) {
+    throw new Error(`Commit message file not found: ${options.file}`);
+  }
+
+  const message = cleanCommitMessage(readFileSync(options.file, "utf-8"));
+  const problems = lintCommitMessage(message);
+  if (problems.length === 0) return true;
+
+  console.error(formatProblems(problems));
+
+  if (!options.fix) return false;
+
+  console.error("🔧 Repairing the commit message...");
+  const fixed = await repairCommitMessage(message, problems, options);
+  const remaining = lintCommitMessage(fixed);
+
+  if (remaining.length > 0) {
+    console.error("❌ The repaired message still has problems:");
+    console.error(formatProblems(remaining));
+    return false;
+  }
+
+  writeFileSync(options.file, `${fixed}\n`);
+  console.error(`✅ Rewrote the commit message:\n${fixed}`);
+  return true;
+}
@@ -0,0 +1,159 @@
+// src/commitScope.js
+import { execFileSync } from "child_process";
+import { existsSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { matchesPattern } from "./utils/diffProcessor.js";
+import { getRepositoryRoot } from "./utils/git.js";
+
+function readJSON(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// The "packages:" list of pnpm-workspace.yaml; enough YAML for the block
+// and inline list forms
+function readPnpmWorkspace(path) {
+  if (!existsSync(path)) return [];
+
+  const yaml = readFileSync(path, "utf-8");
+  const inline = yaml.match(/^packages:\s*\[(.*)\]/m);
+  if (inline) {
+    return inline[1].split(",").map((item) => item.trim());
+  }
+
+  const block = yaml.match(/^packages:\s*\n((?:[ \t]*(?:-.*|#.*)?\n?)*)/m);
+  return block
+    ? block[1]
+        .split("\n")
+        .map((line) => line.match(/^\s*-\s*(.+?)\s*(?:#.*)?$/)?.[1])
+        .filter(Boolean)
+    : [];
+}
+
+// Workspace globs from package.json (npm, yarn), pnpm-workspace.yaml and
+// lerna.json, without quotes or trailing slashes
+export function getWorkspacePatterns(root) {
+  const pkg = readJSON(join(root, "package.json")) || {};
+  const lerna = readJSON(join(root, "lerna.json")) || {};
+
+  const patterns = [
+    ...(Array.isArray(pkg.workspaces)
+      ? pkg.workspaces
+      : pkg.workspaces?.packages || []),
+    ...readPnpmWorkspace(join(root, "pnpm-workspace.yaml")),
+    ...(lerna.packages || []),
+  ];
+
+  return [
+    ...new Set(
+      patterns.map((pattern) =>
+        String(pattern)
+          .replace(/^["']|["']$/g, "")
+          .replace(/^\.\//, "")
+          .replace(/\/+$/, ""),
+      ),
+    ),
+  ];
+}
+
+// "@acme/web-ui" -> "web-ui"
+function toScope(packageName) {
+  return packageName.replace(/^@[^/]+\//, "");
+}
+
+// Workspace packages as [{ dir, scope }], deepest directories first so
+// nested packages win. Only packages tracked by git are considered.
+export function getWorkspacePackages(root) {
+  const patterns = getWorkspacePatterns(root);
+  const include = patterns.filter((pattern) => !pattern.startsWith("!"));
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => pattern.substring(1));
+  if (include.length === 0) return [];
+
+  let manifests;
+  try {
+    manifests = execFileSync(
+      "git",
+      ["ls-files", "-z", "--", "package.json", "**/package.json"],
+      { cwd: root, encoding: "utf-8", stdio: "pipe" },
+    )
+      .split("\0")
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+
+  return manifests
+    .map((manifest) => dirname(manifest))
+    .filter(
+      (dir) =>
+        dir !== "." &&
+        include.some((pattern) => matchesPattern(dir, pattern)) &&
+        !exclude.some((pattern) => matchesPattern(dir, pattern)),
+    )
+    .map((dir) => ({
+      dir,
+      name: readJSON(join(root, dir, "package.json"))?.name,
+    }))
+    .filter(({ name }) => typeof name === "string" && name)
+    .map(({ dir, name }) => ({ dir, scope: toScope(name) }))
+    .sort((a, b) => b.dir.split("/").length - a.dir.split("/").length);
+}
+
+// Scope of a single file: the first matching glob of the scopes map, then
+// the workspace package it lives in; null when nothing claims it
+function scopeOf(path, scopes, packages) {
+  const mapped = Object.entries(scopes).find(([pattern]) =>
+    matchesPattern(path, pattern),
+  );
+  if (mapped) return mapped[1];
+
+  const owner = packages.find(({ dir }) => path.startsWith(`${dir}/`));
+  return owner ? owner.scope : null;
+}
+
+// Scope for a commit touching paths (relative to the repository root).
+// Returns { scope } when every file maps to the same scope, otherwise
+// { scope: null, candidates } with the named scopes the files map to, most
+// files first, for the engine to choose from.
+export function inferCommitScope(paths, config = {}) {
+  const files = paths.filter(
+    (path) =>
+      path &&
+      !(config.excludePatterns || []).some((pattern) =>
+        matchesPattern(path, pattern),
+      ),
+  );
+  if (files.length === 0) return { scope: null, candidates: [] };
+
+  let packages = [];
+  if (config.workspaceScopes !== false) {
+    try {
+      packages = getWorkspacePackages(getRepositoryRoot());
+    } catch {
+      // Not in a repository: only the scopes map applies
+    }
+  }
+
+  const counts = new Map();
+  for (const file of files) {
+    const scope = scopeOf(file, config.scopes || {}, packages);
+    counts.set(scope, (counts.get(scope) || 0) + 1);
+  }
+
+  if (counts.size === 1 && !counts.has(null)) {
+    return { scope: [...counts.keys()][0], candidates: [] };
+  }
+
+  return {
+    scope: null,
+    candidates: [...counts.entries()]
+      .filter(([scope]) => scope)
+      .sort(([, a], [, b]) => b - a)
+      .map(([scope]) => scope),
+  };
+}
@@ -0,0 +1,250 @@
+// src/commitSplit.js
+import { execFileSync } from "child_process";
+import { rmSync } from "fs";
+import { resolve } from "path";
+import { normalizeCommit, renderCommitMessage } from "./models.js";
+import { matchesPattern, parseDiff } from "./utils/diffProcessor.js";
+
+// Headers of files that can only be committed as a whole
+const WHOLE_FILE_HEADER =
+  /^(new file mode|deleted file mode|rename from|copy from|old mode)/m;
+
+function git(args, { input, env } = {}) {
+  return execFileSync("git", args, {
+    encoding: "utf-8",
+    stdio: "pipe",
+    input,
+    env: env && { ...process.env, ...env },
+    maxBuffer: 64 * 1024 * 1024,
+  }).trim();
+}
+
+function describeGitError(error) {
+  return (error.stderr || error.message).toString().trim();
+}
+
+function describeWholeFile(file, header) {
+  if (file.binary) return "binary file";
+  if (/^new file mode/m.test(header)) return "new file";
+  if (/^deleted file mode/m.test(header)) return "deleted file";
+  if (/^rename from/m.test(header)) return `renamed from ${file.oldPath}`;
+  if (/^copy from/m.test(header)) return `copied from ${file.oldPath}`;
+  return "mode change";
+}
+
+// The units a split plan is made of, labelled H1, H2, ...: every hunk of a
+// modified text file, and whole files for additions, deletions, renames,
+// mode changes and binaries. Returns [{ id, path, file, header, body,
+// description, binary }] where file is the index of the file in the diff.
+export function parseHunks(diff) {
+  const units = [];
+
+  parseDiff(diff).forEach((file, fileIndex) => {
+    const lines = file.content.split("\n");
+    const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+    const headerEnd = firstHunk === -1 ? lines.length : firstHunk;
+    const header = lines.slice(0, headerEnd).join("\n");
+
+    // "GIT binary patch" data follows the index line, not a hunk header
+    const binaryStart = lines.findIndex((line) => line === "GIT binary patch");
+    const end = binaryStart === -1 ? headerEnd : binaryStart;
+
+    if (firstHunk === -1 || file.binary || WHOLE_FILE_HEADER.test(header)) {
+      units.push({
+        path: file.path,
+        file: fileIndex,
+        header: lines.slice(0, end).join("\n"),
+        // parseDiff trims the blank line that ends a binary patch
+        body: lines.slice(end).join("\n") + (file.binary ? "\n" : ""),
+        description: describeWholeFile(file, header),
+        binary: file.binary,
+      });
+      return;
+    }
+
+    const hunks = [];
+    for (const line of lines.slice(firstHunk)) {
+      if (line.startsWith("@@")) hunks.push([]);
+      hunks[hunks.length - 1].push(line);
+    }
+
+    hunks.forEach((hunk, index) => {
+      units.push({
+        path: file.path,
+        file: fileIndex,
+        header,
+        body: hunk.join("\n"),
+        description: `hunk ${index + 1} of ${hunks.length}`,
+        binary: false,
+      });
+    });
+  });
+
+  return units.map((unit, index) => ({ id: `H${index + 1}`, ...unit }));
+}
+
+// The hunks as the engine sees them. Excluded files (lockfiles, build
+// output) are listed without their content, and paths are replaced with
+// file1, file2, ... when includeFileNames is off.
+export function formatHunks(units, config = {}) {
+  const excludePatterns = config.excludePatterns || [];
+
+  return units
+    .map((unit) => {
+      const label =
+        config.includeFileNames === false ? `file${unit.file + 1}` : unit.path;
+      const omitted =
+        unit.binary ||
+        excludePatterns.some((pattern) => matchesPattern(unit.path, pattern));
+
+      const heading = `### ${unit.id} ${label} (${unit.description}${omitted && !unit.binary ? ", content omitted" : ""})`;
+      return omitted || !unit.body ? heading : `${heading}\n${unit.body}`;
+    })
+    .join("\n\n");
+}
+
+// Groups from the engine's "H1, H4 => type(scope): description" lines as
+// [{ message, hunks }]. Unknown ids are ignored and a hunk listed twice stays
+// in its first group; hunks the engine left out go into a final commit.
+export function parseSplitPlan(text = "", units) {
+  const ids = new Set(units.map((unit) => unit.id));
+  const used = new Set();
+  const groups = [];
+
+  for (const line of text.split("\n")) {
+    const match = line.match(
+      /^\s*(?:[-*]|\d+[.)])?\s*((?:H\d+[\s,]*)+?)\s*(?:=>|->|:)\s*(.+)$/i,
+    );
+    if (!match) continue;
+
+    const hunks = match[1]
+      .match(/H\d+/gi)
+      .map((id) => id.toUpperCase())
+      .filter((id) => ids.has(id) && !used.has(id));
+    if (hunks.length === 0) continue;
+
+    hunks.forEach((id) => used.add(id));
+    groups.push({
+      message: renderCommitMessage(normalizeCommit(match[2].trim())),
+      hunks,
+    });
+  }
+
+  const missing = units
+    .filter((unit) => !used.has(unit.id))
+    .map((unit) => unit.id);
+  if (missing.length > 0) {
+    groups.push({
+      message: "chore: commit the remaining changes",
+      hunks: missing,
+      leftover: true,
+    });
+  }
+
+  return groups;
+}
+
+// A patch with the group's hunks, each file header written once
+export function buildGroupPatch(group, units) {
+  const files = new Map();
+
+  for (const unit of units) {
+    if (!group.hunks.includes(unit.id)) continue;
+
+    if (!files.has(unit.file)) files.set(unit.file, [unit.header]);
+    if (unit.body) files.get(unit.file).push(unit.body);
+  }
+
+  return `${[...files.values()].map((parts) => parts.join("\n")).join("\n")}\n`;
+}
+
+export function formatSplitPlan(groups, units) {
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+
+  const lines = [`✂️  Split into ${groups.length} commits:`];
+  groups.forEach((group, index) => {
+    lines.push("", `${index + 1}. ${group.message.split("\n")[0]}`);
+    for (const id of group.hunks) {
+      const unit = byId.get(id);
+      lines.push(`   ${id} ${unit.path} (${unit.description})`);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+function getHead() {
+  try {
+    return git(["rev-parse", "--verify", "--quiet", "HEAD"]);
+  } catch {
+    return null; // Unborn branch
+  }
+}
+
+function resetIndexTo(head, env) {
+  git(head ? ["read-tree", head] : ["read-tree", "--empty"], { env });
+}
+
+// Dry run: apply the groups one after the other to a scratch index and check
+// that together they reproduce the staged changes. The real index is not
+// touched.
+export function checkSplitPlan(groups, units) {
+  const scratch = resolve(
+    git(["rev-parse", "--git-path", "taskfoundry-split-index"]),
+  );
+  const env = { GIT_INDEX_FILE: scratch };
+  const staged = git(["write-tree"]);
+
+  try {
+    resetIndexTo(getHead(), env);
+
+    groups.forEach((group, index) => {
+      try {
+        git(["apply", "--cached"], {
+          input: buildGroupPatch(group, units),
+          env,
+        });
+      } catch (error) {
+        throw new Error(
+          `Commit ${index + 1} (${group.message.split("\n")[0]}) does not apply: ${describeGitError(error)}`,
+        );
+      }
+    });
+
+    if (git(["write-tree"], { env }) !== staged) {
+      throw new Error("The plan does not add up to the staged changes");
+    }
+  } finally {
+    rmSync(scratch, { force: true });
+  }
+}
+
+// Unstage everything, then stage and commit group by group. If anything
+// fails, the new commits are undone and the original index is restored.
+export function applySplitPlan(groups, units) {
+  const head = getHead();
+  const staged = git(["write-tree"]);
+
+  try {
+    resetIndexTo(head);
+
+    groups.forEach((group, index) => {
+      git(["apply", "--cached"], { input: buildGroupPatch(group, units) });
+      git(["commit", "-q", "-F", "-"], { input: group.message });
+      console.log(
+        `✅ ${index + 1}/${groups.length} ${group.message.split("\n")[0]}`,
+      );
+    });
+  } catch (error) {
+    if (head) {
+      git(["reset", "-q", "--soft", head]);
+    } else {
+      git(["update-ref", "-d", "HEAD"]);
+    }
+    git(["read-tree", staged]);
+
+    throw new Error(
+      `${describeGitError(error)}; the split was undone and the original index restored`,
+    );
+  }
+}
@@ -0,0 +1,246 @@
+// src/commitStyle.js
+import { EXEMPT } from "./commitLint.js";
+import {
+  getCachedCommitStyle,
+  saveCachedCommitStyle,
+} from "./config/systemConfig.js";
+import { getRepositoryRoot, listCommits } from "./utils/git.js";
+
+const DEFAULT_SAMPLE_SIZE = 50;
+const DEFAULT_EXAMPLES = 5;
+const DEFAULT_MAX_AGE_DAYS = 7;
+
+// "type(scope)!: description", optionally behind a gitmoji
+const HEADER =
+  /^(?:(?:\p{Extended_Pictographic}\uFE0F?|:[\w+-]+:)\s*)?(\w+)(?:\(([^)]*)\))?!?: (.*)$/u;
+const GITMOJI = /^(?:\p{Extended_Pictographic}\uFE0F?|:[\w+-]+:)/u;
+const TICKET = /\b([A-Z][A-Z0-9]+)-\d+\b/g;
+
+function share(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 100) / 100;
+}
+
+// Keys sorted by how often they occur, most common first
+function rank(counts) {
+  return Object.entries(counts)
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+    .map(([name, count]) => ({ name, count }));
+}
+
+function findTickets(messages) {
+  const found = messages.map((message) => {
+    const [header, ...body] = message.split("\n");
+    const keys = (text) => [...text.matchAll(TICKET)].map((match) => match[1]);
+    return { header: keys(header), body: keys(body.join("\n")) };
+  });
+
+  const counts = {};
+  for (const { header, body } of found) {
+    for (const key of new Set([...header, ...body])) {
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+
+  // Version strings such as UTF-8 look like tickets too, so a key has to
+  // show up in a good share of the commits
+  const keys = rank(counts)
+    .filter(({ count }) => share(count, messages.length) >= 0.2)
+    .map(({ name }) => name);
+  if (keys.length === 0) return null;
+
+  const inHeader = found.filter(({ header }) =>
+    header.some((key) => keys.includes(key)),
+  ).length;
+  const inBody = found.filter(
+    ({ header, body }) =>
+      !header.some((key) => keys.includes(key)) &&
+      body.some((key) => keys.includes(key)),
+  ).length;
+
+  return {
+    keys,
+    share: share(inHeader + inBody, messages.length),
+    placement: inHeader >= inBody ? "header" : "footer",
+  };
+}
+
+// Recent headers to show the engine, one per scope first so the examples
+// cover as many parts of the repository as possible
+function pickExamples(headers, count) {
+  const picked = [];
+  const scopes = new Set();
+
+  for (const header of headers) {
+    const scope = header.match(HEADER)?.[2] || "";
+    if (scopes.has(scope)) continue;
+    scopes.add(scope);
+    picked.push(header);
+  }
+  for (const header of headers) {
+    if (!picked.includes(header)) picked.push(header);
+  }
+
+  const selected = new Set(picked.slice(0, count));
+  return headers.filter((header) => selected.has(header));
+}
+
+// Derive a style profile from commit messages, newest first: how many are
+// conventional, the scopes in use, the casing of descriptions, ticket
+// references, gitmoji and a few example headers
+export function analyzeCommitStyle(messages, options = {}) {
+  const relevant = messages
+    .map((message) => message.trim())
+    .filter((message) => message && !EXEMPT.test(message));
+  const headers = relevant.map((message) => message.split("\n")[0]);
+
+  const scopes = {};
+  let conventional = 0;
+  let scoped = 0;
+  let lower = 0;
+  let upper = 0;
+  let gitmoji = 0;
+
+  for (const header of headers) {
+    const match = header.match(HEADER);
+    const description = match ? match[3] : header;
+
+    if (match) {
+      conventional += 1;
+      if (match[2]) {
+        scoped += 1;
+        scopes[match[2]] = (scopes[match[2]] || 0) + 1;
+      }
+    }
+
+    if (GITMOJI.test(header) || GITMOJI.test(description)) gitmoji += 1;
+
+    // Casing of the first word after any gitmoji, [tag] or ticket prefix
+    const first =
+      description
+        .replace(GITMOJI, "")
+        .replace(/^\s*(?:\[[^\]]*\]|[A-Z][A-Z0-9]+-\d+:?)\s*/, "")
+        .trim()[0] || "";
+    if (first !== first.toUpperCase()) lower += 1;
+    else if (first !== first.toLowerCase()) upper += 1;
+  }
+
+  const cased = lower + upper;
+  let casing = "mixed";
+  if (share(lower, cased) >= 0.8) casing = "lower";
+  else if (share(upper, cased) >= 0.8) casing = "sentence";
+
+  return {
+    sampled: headers.length,
+    conventional: share(conventional, headers.length),
+    scopes: rank(scopes),
+    scoped: share(scoped, conventional),
+    casing,
+    tickets: findTickets(relevant),
+    gitmoji: share(gitmoji, headers.length),
+    examples: pickExamples(
+      headers.filter((header) => header.length <= 100),
+      options.examples ?? DEFAULT_EXAMPLES,
+    ),
+  };
+}
+
+// Learn the style from the last sampleSize commits on HEAD; null before the
+// first commit
+export function learnCommitStyle(settings = {}) {
+  const sampleSize = settings.sampleSize || DEFAULT_SAMPLE_SIZE;
+
+  let commits;
+  try {
+    commits = listCommits(["-n", String(sampleSize), "HEAD"]);
+  } catch {
+    return null;
+  }
+  if (commits.length === 0) return null;
+
+  return analyzeCommitStyle(
+    commits.map((commit) => commit.message).reverse(),
+    settings,
+  );
+}
+
+// The repository's style profile (config.commitStyle: sampleSize, examples,
+// maxAgeDays), cached in ~/.taskfoundry/commit-styles.json. Returns null when
+// it is disabled or there is no history to learn from.
+export function getCommitStyle(config = {}, { refresh } = {}) {
+  const settings = config.commitStyle || {};
+  if (settings.enabled === false) return null;
+
+  let repository;
+  try {
+    repository = getRepositoryRoot();
+  } catch {
+    return null;
+  }
+
+  const sampleSize = settings.sampleSize || DEFAULT_SAMPLE_SIZE;
+  const examples = settings.examples ?? DEFAULT_EXAMPLES;
+  const maxAge =
+    (settings.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+
+  const cached = getCachedCommitStyle(repository);
+  if (
+    !refresh &&
+    cached &&
+    cached.sampleSize === sampleSize &&
+    cached.examples === examples &&
+    Date.now() - new Date(cached.learnedAt).getTime() < maxAge
+  ) {
+    return cached.profile;
+  }
+
+  const profile = learnCommitStyle({ sampleSize, examples });
+  if (profile) {
+    saveCachedCommitStyle(repository, {
+      learnedAt: new Date().toISOString(),
+      sampleSize,
+      examples,
+      profile,
+    });
+  }
+
+  return profile;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Summary for `create-commit style`
+export function formatCommitStyle(profile) {
+  const { scopes, tickets } = profile;
+
+  const lines = [
+    `🎨 Commit style learned from the last ${profile.sampled} commits:`,
+    `   Conventional: ${percent(profile.conventional)}`,
+    `   Scopes: ${
+      scopes.length > 0
+        ? scopes.map(({ name, count }) => `${name} (${count})`).join(", ")
+        : "none"
+    }`,
+    `   Casing: ${
+      {
+        lower: "lowercase descriptions",
+        sentence: "capitalised descriptions",
+        mixed: "mixed",
+      }[profile.casing]
+    }`,
+    `   Tickets: ${
+      tickets
+        ? `${tickets.keys.join(", ")} in ${percent(tickets.share)} of commits (${tickets.placement})`
+        : "none"
+    }`,
+    `   Gitmoji: ${profile.gitmoji > 0 ? percent(profile.gitmoji) : "none"}`,
+  ];
+
+  if (profile.examples.length > 0) {
+    lines.push("   Examples:");
+    lines.push(...profile.examples.map((header) => `     ${header}`));
+  }
+
+  return lines.join("\n");
+}
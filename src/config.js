@@ -8,14 +8,27 @@ config();
 
 // Import system config functions
 import { getSystemConfig, getApiKey } from "./config/systemConfig.js";
+import { getEngineNames } from "./engines/registry.js";
+
+// create-task output formats (config.schema.json lists them too)
+export const OUTPUT_FORMATS = [
+  "markdown",
+  "json",
+  "azure-devops",
+  "github",
+  "gitlab",
+  "jira",
+];
 
 const DEFAULT_CONFIG = {
   engine: "auto",
   output: "markdown",
   staged: false,
+  baseBranch: "main",
   model: "llama-3.3-70b-versatile",
   temperature: 0.3,
   maxTokens: 1000,
+  maxDiffTokens: null,
   detailed: false,
   customPrompt: null,
   outputFile: null,
@@ -29,6 +42,23 @@ const DEFAULT_CONFIG = {
     "dist/**",
     "build/**",
   ],
+  plugins: [],
+  structuredOutput: true,
+  batch: {
+    concurrency: 2,
+    requestsPerMinute: null,
+  },
+  hook: {
+    timeout: 20,
+  },
+  scopes: {},
+  workspaceScopes: true,
+  commitStyle: {
+    enabled: true,
+    sampleSize: 50,
+    examples: 5,
+    maxAgeDays: 7,
+  },
 };
 
 export function loadConfig(cliOptions = {}) {
@@ -46,6 +76,7 @@ export function loadConfig(cliOptions = {}) {
         model: systemConfig.preferences.defaultModel,
         temperature: systemConfig.preferences.defaultTemperature,
         maxTokens: systemConfig.preferences.defaultMaxTokens,
+        maxDiffTokens: systemConfig.preferences.maxDiffTokens,
         detailed: systemConfig.preferences.detailed,
         includeFileNames: systemConfig.preferences.includeFileNames,
         includeDiffStats: systemConfig.preferences.includeDiffStats,
@@ -124,13 +155,13 @@ export function getConfigSchema() {
     properties: {
       engine: {
         type: "string",
-        enum: ["auto", "groq", "openai", "freetier", "local"],
+        enum: ["auto", ...getEngineNames()],
         default: "auto",
         description: "AI engine to use for generation",
       },
       output: {
         type: "string",
-        enum: ["markdown", "json"],
+        enum: OUTPUT_FORMATS,
         default: "markdown",
         description: "Output format",
       },
@@ -139,6 +170,11 @@ export function getConfigSchema() {
         default: false,
         description: "Use staged changes instead of last commit",
       },
+      baseBranch: {
+        type: "string",
+        default: "main",
+        description: "Branch that --branch diffs are taken against",
+      },
       model: {
         type: "string",
         default: "llama-3.3-70b-versatile",
@@ -158,6 +194,13 @@ export function getConfigSchema() {
         default: 1000,
         description: "Maximum tokens for AI response",
       },
+      maxDiffTokens: {
+        type: ["integer", "null"],
+        minimum: 500,
+        default: null,
+        description:
+          "Split diffs larger than this many tokens into chunks (default: derived from the model's context window)",
+      },
       detailed: {
         type: "boolean",
         default: false,
@@ -198,6 +241,146 @@ export function getConfigSchema() {
         ],
         description: "Patterns to exclude from diff analysis",
       },
+      structuredOutput: {
+        type: "boolean",
+        default: true,
+        description:
+          "Request JSON output from engines that support it instead of parsing text",
+      },
+      azureDevOps: {
+        type: "object",
+        properties: {
+          organization: { type: "string" },
+          project: { type: "string" },
+          workItemType: { type: "string", default: "Task" },
+          baseUrl: { type: "string", default: "https://dev.azure.com" },
+          tags: { type: "array", items: { type: "string" } },
+          areaPath: { type: "string" },
+          iterationPath: { type: "string" },
+        },
+        description:
+          "Azure DevOps work item settings for --output azure-devops and --push azure-devops",
+      },
+      github: {
+        type: "object",
+        properties: {
+          repository: { type: "string" },
+          apiUrl: { type: "string", default: "https://api.github.com" },
+          labels: { type: "array", items: { type: "string" } },
+        },
+        description:
+          "GitHub issue settings for --output github and --push github",
+      },
+      jira: {
+        type: "object",
+        properties: {
+          baseUrl: { type: "string" },
+          email: { type: "string" },
+          projectKey: { type: "string" },
+          issueType: { type: "string", default: "Task" },
+          components: { type: "array", items: { type: "string" } },
+          labels: { type: "array", items: { type: "string" } },
+        },
+        description: "Jira issue settings for --output jira and --push jira",
+      },
+      gitlab: {
+        type: "object",
+        properties: {
+          url: { type: "string", default: "https://gitlab.com" },
+          project: { type: "string" },
+          labels: { type: "array", items: { type: "string" } },
+        },
+        description:
+          "GitLab settings for --output gitlab, --push gitlab and --push gitlab-mr",
+      },
+      batch: {
+        type: "object",
+        properties: {
+          concurrency: {
+            type: "integer",
+            minimum: 1,
+            default: 2,
+            description: "Commits processed in parallel with --per-commit",
+          },
+          requestsPerMinute: {
+            type: ["number", "null"],
+            default: null,
+            description:
+              "Engine requests per minute shared by all --per-commit workers",
+          },
+        },
+        description: "Settings for --per-commit batch runs",
+      },
+      hook: {
+        type: "object",
+        properties: {
+          timeout: {
+            type: "number",
+            minimum: 1,
+            default: 20,
+            description:
+              "Seconds the prepare-commit-msg hook waits for the engine before leaving the message empty",
+          },
+        },
+        description:
+          "Settings for the hook installed by create-commit hook install",
+      },
+      scopes: {
+        type: "object",
+        additionalProperties: {
+          type: "string",
+        },
+        default: {},
+        description:
+          'Commit scopes by file glob, e.g. { "src/engines/**": "engines" }; the first matching glob wins and "" means no scope',
+      },
+      workspaceScopes: {
+        type: "boolean",
+        default: true,
+        description:
+          "Use the workspace package name (without its @org/ prefix) as the scope of files inside it",
+      },
+      commitStyle: {
+        type: "object",
+        properties: {
+          enabled: {
+            type: "boolean",
+            default: true,
+            description:
+              "Show create-commit the scopes, casing and recent headers of the repository's history",
+          },
+          sampleSize: {
+            type: "number",
+            minimum: 1,
+            default: 50,
+            description: "Number of recent commits the style is learned from",
+          },
+          examples: {
+            type: "number",
+            minimum: 0,
+            default: 5,
+            description:
+              "Recent commit headers passed to the engine as examples",
+          },
+          maxAgeDays: {
+            type: "number",
+            minimum: 0,
+            default: 7,
+            description:
+              "Days the learned style is cached in ~/.taskfoundry before it is learned again",
+          },
+        },
+        description: "How create-commit learns the commit style from git log",
+      },
+      plugins: {
+        type: "array",
+        items: {
+          type: "string",
+        },
+        default: [],
+        description:
+          "Engine plugins to load: npm package names or paths relative to the project",
+      },
     },
     required: ["engine", "output"],
   };
@@ -208,13 +391,11 @@ export function validateConfig(config) {
   const errors = [];
 
   // Basic type checking
-  if (
-    !["auto", "groq", "openai", "freetier", "local"].includes(config.engine)
-  ) {
+  if (!["auto", ...getEngineNames()].includes(config.engine)) {
     errors.push(`Invalid engine: ${config.engine}`);
   }
 
-  if (!["markdown", "json"].includes(config.output)) {
+  if (!OUTPUT_FORMATS.includes(config.output)) {
     errors.push(`Invalid output format: ${config.output}`);
   }
 
@@ -238,6 +419,16 @@ export function validateConfig(config) {
     );
   }
 
+  if (
+    config.maxDiffTokens !== undefined &&
+    config.maxDiffTokens !== null &&
+    (!Number.isInteger(config.maxDiffTokens) || config.maxDiffTokens < 500)
+  ) {
+    errors.push(
+      `Invalid maxDiffTokens: ${config.maxDiffTokens}. Must be an integer of at least 500`,
+    );
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -6,6 +6,7 @@ import { homedir } from "os";
 const TASKFOUNDRY_DIR = join(homedir(), ".taskfoundry");
 const CONFIG_FILE = join(TASKFOUNDRY_DIR, "config.json");
 const USAGE_FILE = join(TASKFOUNDRY_DIR, "usage.json");
+const COMMIT_STYLES_FILE = join(TASKFOUNDRY_DIR, "commit-styles.json");
 
 // Ensure config directory exists
 function ensureConfigDir() {
@@ -73,6 +74,20 @@ export function getApiKey(provider) {
   );
 }
 
+// Tokens for issue trackers (--push) are kept apart from the AI engine keys
+// so they don't count as engine keys in auto mode
+export function setToken(service, token) {
+  const config = getSystemConfig();
+  config.tokens = { ...config.tokens, [service]: token };
+  saveSystemConfig(config);
+  console.log(`✅ ${service} token saved system-wide`);
+}
+
+export function getToken(service, envVar) {
+  const config = getSystemConfig();
+  return config.tokens?.[service] || process.env[envVar];
+}
+
 export function hasAnyApiKey() {
   const config = getSystemConfig();
   return (
@@ -167,3 +182,29 @@ export function updateUsage() {
     // Ignore write errors
   }
 }
+
+function readCommitStyles() {
+  try {
+    return JSON.parse(readFileSync(COMMIT_STYLES_FILE, "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+// Commit style profiles learned from each repository's history, keyed by the
+// repository's root directory
+export function getCachedCommitStyle(repository) {
+  return readCommitStyles()[repository] || null;
+}
+
+export function saveCachedCommitStyle(repository, entry) {
+  ensureConfigDir();
+  const styles = readCommitStyles();
+  styles[repository] = entry;
+
+  try {
+    writeFileSync(COMMIT_STYLES_FILE, JSON.stringify(styles, null, 2));
+  } catch {
+    // Ignore write errors, the style is learned again next time
+  }
+}
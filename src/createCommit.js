@@ -1,27 +1,54 @@
-import { execSync } from "child_process";
-import { writeFileSync } from "fs";
+import { execSync, spawnSync } from "child_process";
+import { existsSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { createInterface } from "readline";
+import { scoreCommitMessage } from "./commitLint.js";
+import { inferCommitScope } from "./commitScope.js";
+import { getCommitStyle } from "./commitStyle.js";
+import {
+  applySplitPlan,
+  checkSplitPlan,
+  formatHunks,
+  formatSplitPlan,
+  parseHunks,
+  parseSplitPlan,
+} from "./commitSplit.js";
 import { loadConfig } from "./config.js";
-import { generateTaskFromDiff } from "./engines/index.js";
-
-const COMMIT_TYPES = {
-  feat: "A new feature",
-  fix: "A bug fix",
-  docs: "Documentation only changes",
-  style:
-    "Changes that do not affect the meaning of the code (white-space, formatting, etc)",
-  refactor: "A code change that neither fixes a bug nor adds a feature",
-  perf: "A code change that improves performance",
-  test: "Adding missing tests or correcting existing tests",
-  chore: "Changes to the build process or auxiliary tools and libraries",
-  ci: "Changes to CI configuration files and scripts",
-  build: "Changes that affect the build system or external dependencies",
-};
+import { generateTaskFromDiff, getDiffTokenBudget } from "./engines/index.js";
+import { formatCommitJSON } from "./formatters.js";
+import { estimateTokens } from "./utils/diffChunker.js";
+import { preprocessDiff } from "./utils/diffProcessor.js";
+import { getCurrentBranch } from "./utils/git.js";
+import {
+  COMMIT_TYPES,
+  normalizeCommit,
+  parseCommitMessage,
+  renderCommitMessage,
+} from "./models.js";
 
 function escapeShellString(str) {
   // Replace single quotes with '\'' and wrap in single quotes
   return `'${str.replace(/'/g, "'\\''")}'`;
 }
 
+function getCommitEngineConfig(options, config) {
+  return {
+    type: options.type,
+    scope: options.scope,
+    breaking: options.breaking || false,
+    engine: options.engine || config.engine || "auto", // Default to auto
+    model: options.model || config.model,
+    temperature: options.temperature || config.temperature,
+    local: config.local,
+    maxDiffTokens: config.maxDiffTokens,
+    template: config.template,
+    templates: config.templates,
+    structuredOutput: config.structuredOutput,
+    currentBranch: getCurrentBranch(),
+    diffSource: "staged",
+    commitMode: true, // This tells engines to generate commit messages
+  };
+}
+
 export async function generateCommitMessage(options) {
   try {
     // Check if we're in a git repository
@@ -42,28 +69,115 @@ export async function generateCommitMessage(options) {
     }
 
     // Get staged diff
-    const diff = execSync("git diff --cached", { encoding: "utf-8" }).trim();
-    if (!diff) {
+    const rawDiff = execSync("git diff --cached", { encoding: "utf-8" }).trim();
+    if (!rawDiff) {
       throw new Error("No staged changes found.");
     }
 
     // Load configuration
     const config = loadConfig(options);
 
+    if (options.split) {
+      await splitStagedChanges(options, config);
+      return;
+    }
+
+    // Drop excluded files and add stats/anonymise file names as configured
+    const diff = preprocessDiff(rawDiff, config);
+
+    // Scopes, casing and example headers learned from `git log` (--no-style
+    // or commitStyle.enabled: false to leave them out)
+    const commitStyle = options.style === false ? null : getCommitStyle(config);
+
+    // --scope wins; otherwise the scopes map and workspace packages decide,
+    // and the engine only chooses when the files map to different scopes
+    const { scope, candidates: scopeCandidates } =
+      options.scope !== undefined
+        ? { scope: options.scope, candidates: [] }
+        : inferCommitScope(stagedFiles.split("\n"), config);
+
     // Generate commit message using the main dispatcher with automatic fallback
-    const commitData = await generateTaskFromDiff(diff, {
-      type: options.type,
-      scope: options.scope,
-      breaking: options.breaking || false,
-      engine: options.engine || config.engine || "auto", // Default to auto
-      model: options.model || config.model,
-      temperature: options.temperature || config.temperature,
-      commitMode: true, // This tells engines to generate commit messages
-    });
+    const generate = async (overrides = {}) => {
+      const engineConfig = {
+        ...getCommitEngineConfig(options, config),
+        scope: scope ?? undefined,
+        scopeCandidates,
+        commitStyle,
+        ...overrides,
+      };
+      const commitData = await generateTaskFromDiff(diff, engineConfig);
+
+      // Engines don't always keep the scope they were given
+      return engineConfig.scope === undefined
+        ? commitData
+        : { ...commitData, scope: engineConfig.scope };
+    };
+
+    const candidates =
+      options.candidates > 1
+        ? await generateCandidates(
+            generate,
+            options.candidates,
+            options.temperature || config.temperature,
+          )
+        : null;
+    const commitData = candidates ? candidates[0].commit : await generate();
+
+    if (options.interactive) {
+      const message = await reviewCommit(
+        normalizeCommit(commitData),
+        generate,
+        candidates,
+      );
+      if (!message) {
+        console.log("❌ Commit aborted");
+        return;
+      }
+      runGitCommit(message);
+      return;
+    }
 
     // Format commit message
     const commitMessage = formatCommitMessage(commitData);
 
+    // From the prepare-commit-msg hook: git's comments stay below the message
+    if (options.messageFile) {
+      const existing = existsSync(options.messageFile)
+        ? readFileSync(options.messageFile, "utf-8")
+        : "";
+      writeFileSync(options.messageFile, `${commitMessage}\n${existing}`);
+      return;
+    }
+
+    if (options.commit) {
+      runGitCommit(commitMessage);
+      return;
+    }
+
+    if (options.output === "json") {
+      const formatted = formatCommitJSON({
+        ...normalizeCommit(commitData),
+        ...(candidates && {
+          candidates: candidates.map(
+            ({ message, score, problems, temperature }) => ({
+              message,
+              score,
+              problems,
+              temperature,
+            }),
+          ),
+        }),
+      });
+
+      if (options.file) {
+        writeFileSync(options.file, formatted);
+        console.log(`✅ Commit message saved to ${options.file}`);
+      } else {
+        console.log(formatted);
+      }
+      return;
+    }
+
     // Handle different output options
     if (options.file) {
       writeFileSync(options.file, commitMessage);
@@ -106,102 +220,305 @@ export async function generateCommitMessage(options) {
   }
 }
 
+// `create-commit --split`: have the engine group the staged hunks into
+// commits, check the plan against a scratch index, then show it or apply it
+async function splitStagedChanges(options, config) {
+  const units = parseHunks(
+    execSync("git diff --cached --binary", {
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+    }),
+  );
+  if (units.length < 2) {
+    throw new Error("The staged changes are a single hunk; nothing to split");
+  }
+
+  const hunks = formatHunks(units, config);
+  const engineConfig = {
+    ...getCommitEngineConfig(options, config),
+    commitMode: false,
+    splitMode: true,
+    // --template is meant for commit messages, not split plans
+    template: null,
+  };
+
+  const budget = getDiffTokenBudget(engineConfig);
+  if (estimateTokens(hunks) > budget) {
+    throw new Error(
+      `The staged changes are too large to plan in one request (~${estimateTokens(hunks)} tokens, budget ${budget}); stage fewer files or raise --max-diff-tokens`,
+    );
+  }
+
+  const result = await generateTaskFromDiff(hunks, engineConfig);
+  const groups = parseSplitPlan(result.summary, units);
+
+  if (groups.some((group) => group.leftover)) {
+    console.log(
+      "⚠️  The engine left some hunks out; they get a commit of their own",
+    );
+  }
+
+  checkSplitPlan(groups, units);
+
+  if (options.output === "json") {
+    console.log(JSON.stringify({ commits: groups }, null, 2));
+  } else {
+    console.log(formatSplitPlan(groups, units));
+  }
+
+  if (
+    options.commit ||
+    (options.interactive && (await confirm("\nApply this plan? (y/N): ")))
+  ) {
+    applySplitPlan(groups, units);
+  } else {
+    console.log(
+      "\n💡 Nothing was committed. Run with --commit to make these commits, or -i to confirm first.",
+    );
+  }
+}
+
+async function confirm(prompt) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => {
+    rl.question(prompt, resolve);
+    // Stdin closed without an answer
+    rl.on("close", () => resolve(""));
+  });
+  rl.close();
+
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Request candidates in parallel at rising temperatures so they differ, then
+// rank them by score; returns [{ message, score, problems, temperature,
+// commit }], best first
+export async function generateCandidates(generate, count, temperature = 0.3) {
+  const temperatures = Array.from({ length: count }, (_, index) =>
+    Math.min(Math.round((temperature + index * 0.3) * 10) / 10, 1.5),
+  );
+
+  const results = await Promise.allSettled(
+    temperatures.map((candidateTemperature) =>
+      generate({ temperature: candidateTemperature }),
+    ),
+  );
+
+  const failed = results.find((result) => result.status === "rejected");
+  const candidates = [];
+
+  results.forEach((result, index) => {
+    if (result.status !== "fulfilled") return;
+
+    const commit = normalizeCommit(result.value);
+    const message = renderCommitMessage(commit);
+    if (candidates.some((candidate) => candidate.message === message)) return;
+
+    candidates.push({
+      message,
+      ...scoreCommitMessage(message),
+      temperature: temperatures[index],
+      commit,
+    });
+  });
+
+  if (candidates.length === 0) throw failed.reason;
+
+  // Array.prototype.sort is stable, so ties keep the lower temperature first
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+// Results from the dispatcher are already canonical; normalising again keeps
+// this safe for raw engine output
 function formatCommitMessage(commitData) {
-  // Handle null/undefined input
-  if (!commitData) {
-    return "chore: update code";
+  return renderCommitMessage(normalizeCommit(commitData));
+}
+
+// Commit the staged changes with the message on stdin; git's own output and
+// any hook output go straight to the terminal
+function runGitCommit(message) {
+  const result = spawnSync("git", ["commit", "-F", "-"], {
+    input: message,
+    stdio: ["pipe", "inherit", "inherit"],
+  });
+
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`git commit exited with status ${result.status}`);
   }
+}
 
-  // Handle case where commitData is just a string (simple commit message)
-  if (typeof commitData === "string") {
-    return commitData.trim() || "chore: update code";
+// The editor git itself would use: GIT_EDITOR, core.editor, VISUAL, EDITOR
+function getEditor() {
+  try {
+    return execSync("git var GIT_EDITOR", {
+      encoding: "utf-8",
+      stdio: "pipe",
+    }).trim();
+  } catch {
+    return process.env.EDITOR || "vi";
   }
+}
+
+// Open the message in the editor; lines starting with "#" are dropped like in
+// git's own commit template
+function editCommitMessage(message) {
+  const path = execSync("git rev-parse --git-path TASKFOUNDRY_EDITMSG", {
+    encoding: "utf-8",
+  }).trim();
+
+  writeFileSync(
+    path,
+    `${message}\n\n# Edit the commit message. Lines starting with "#" are ignored\n# and an empty message keeps the previous one.\n`,
+  );
 
-  // Handle case where commitData has a commit or message field
-  if (commitData && (commitData.commit || commitData.message)) {
-    const message = commitData.commit || commitData.message;
-    return typeof message === "string" ? message.trim() : "chore: update code";
+  // The editor setting may carry arguments ("code --wait"), so run it in a shell
+  const result = spawnSync(`${getEditor()} "${path}"`, {
+    shell: true,
+    stdio: "inherit",
+  });
+  if (result.status !== 0) {
+    throw new Error(`Editor exited with status ${result.status}`);
   }
 
-  // Handle structured commit data
-  if (commitData && typeof commitData === "object") {
-    const { type, scope, description, body, breaking, breakingDescription } =
-      commitData;
+  const edited = readFileSync(path, "utf-8")
+    .split("\n")
+    .filter((line) => !line.startsWith("#"))
+    .join("\n")
+    .trim();
+  rmSync(path, { force: true });
 
-    // If we have a pre-formatted message, use it
-    if (commitData.description && !type) {
-      return typeof commitData.description === "string"
-        ? commitData.description.trim()
-        : "chore: update code";
-    }
+  return edited;
+}
 
-    if (!type && !description) {
-      // If we don't have structured data, try to extract from any available field
-      const possibleMessage =
-        commitData.description ||
-        commitData.commit ||
-        commitData.message ||
-        "chore: update code";
-      return typeof possibleMessage === "string"
-        ? possibleMessage.trim()
-        : "chore: update code";
-    }
+const REVIEW_ACTIONS =
+  "[a]ccept, [r]egenerate, [e]dit, change [t]ype, change [s]cope, [q]uit";
 
-    // Validate and sanitize type
-    const validTypes = [
-      "feat",
-      "fix",
-      "docs",
-      "style",
-      "refactor",
-      "perf",
-      "test",
-      "chore",
-      "ci",
-      "build",
-    ];
-    const commitType = validTypes.includes(type) ? type : "chore";
-
-    let message = commitType;
-
-    // Add scope if provided and valid
-    if (scope && typeof scope === "string" && scope.trim()) {
-      const cleanScope = scope.trim().replace(/[()]/g, ""); // Remove existing parentheses
-      message += `(${cleanScope})`;
-    }
+// Let the user pick one of several candidates, then show the message until
+// it is accepted (returns the final message) or the user quits (returns
+// null). Stdin is read line by line, so answers can also be piped in.
+async function reviewCommit(commit, generate, candidates) {
+  const rl = createInterface({ input: process.stdin });
+  const lines = rl[Symbol.asyncIterator]();
+  const question = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  };
 
-    // Add breaking change indicator
-    if (breaking) {
-      message += "!";
-    }
+  try {
+    if (candidates?.length > 1) {
+      console.log("\nCandidates (best first):");
+      candidates.forEach((candidate, index) => {
+        console.log(`\n${index + 1}. [score ${candidate.score}]`);
+        console.log(candidate.message);
+      });
 
-    // Add description
-    const desc =
-      description && typeof description === "string"
-        ? description.trim()
-        : "update code";
-    message += `: ${desc}`;
+      const answer = await question(
+        `\nPick a message [1-${candidates.length}] (Enter for 1): `,
+      );
+      if (answer === null) return null;
 
-    // Add body if provided
-    if (body && typeof body === "string" && body.trim()) {
-      message += `\n\n${body.trim()}`;
+      const picked = candidates[Number(answer || 1) - 1];
+      if (picked) {
+        commit = picked.commit;
+      } else {
+        console.log(`❌ Unknown choice: ${answer}, using 1`);
+      }
     }
 
-    // Add breaking change description
-    if (
-      breaking &&
-      breakingDescription &&
-      typeof breakingDescription === "string" &&
-      breakingDescription.trim()
-    ) {
-      message += `\n\nBREAKING CHANGE: ${breakingDescription.trim()}`;
+    for (;;) {
+      const message = renderCommitMessage(commit);
+
+      console.log("\nGenerated commit message:");
+      console.log("─".repeat(50));
+      console.log(message);
+      console.log("─".repeat(50));
+
+      const answer = await question(`${REVIEW_ACTIONS}: `);
+      if (answer === null) return null;
+
+      switch (answer.toLowerCase()) {
+        case "a":
+        case "":
+          return message;
+        case "q":
+          return null;
+        case "r":
+          console.log("🔄 Regenerating...");
+          commit = normalizeCommit(
+            await generate({
+              type: commit.type,
+              scope: commit.scope,
+              breaking: commit.breaking,
+            }),
+          );
+          break;
+        case "e": {
+          const edited = editCommitMessage(message);
+          if (edited) {
+            const parsed = parseCommitMessage(edited);
+            if (!validateCommitType(parsed.type)) {
+              console.log(
+                `⚠️  "${parsed.type}" is not a commit type, using chore`,
+              );
+            }
+            commit = normalizeCommit({ ...parsed, metadata: commit.metadata });
+          }
+          break;
+        }
+        case "t": {
+          console.log(`Types: ${Object.keys(COMMIT_TYPES).join(", ")}`);
+          const type = await question(`Type [${commit.type}]: `);
+          if (validateCommitType(type)) {
+            commit = { ...commit, type };
+          } else if (type) {
+            console.log(`❌ Unknown commit type: ${type}`);
+          }
+          break;
+        }
+        case "s": {
+          const scope = await question(
+            `Scope [${commit.scope || "none"}] ("-" for none): `,
+          );
+          if (scope === "-") {
+            commit = { ...commit, scope: "" };
+          } else if (scope) {
+            commit = { ...commit, scope: scope.replace(/[()]/g, "") };
+          }
+          break;
+        }
+        default:
+          console.log(`❌ Unknown choice: ${answer}`);
+      }
     }
+  } finally {
+    rl.close();
+  }
+}
+
+// Have the engine rewrite a message that failed linting, with the staged
+// changes (when there are any) as context
+export async function repairCommitMessage(message, problems, options = {}) {
+  const config = loadConfig(options);
 
-    return message;
+  let diff = "";
+  try {
+    diff = execSync("git diff --cached", { encoding: "utf-8" }).trim();
+  } catch {
+    // Not in a repository: the draft alone has to do
   }
 
-  // Fallback for any other case
-  return "chore: update code";
+  const commitData = await generateTaskFromDiff(
+    diff ? preprocessDiff(diff, config) : "(no staged changes)",
+    {
+      ...getCommitEngineConfig(options, config),
+      draftMessage: message,
+      draftProblems: problems.map((problem) => problem.message),
+    },
+  );
+
+  return formatCommitMessage(commitData);
 }
 
 export function getCommitTypes() {
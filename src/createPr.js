@@ -0,0 +1,335 @@
+// src/createPr.js
+import { execSync, spawnSync } from "child_process";
+import { existsSync, readFileSync, readdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { generateTaskFromDiff as callAIEngine } from "./engines/index.js";
+import { createPullRequest, getGitHubSettings } from "./integrations/github.js";
+import { preprocessDiff } from "./utils/diffProcessor.js";
+import {
+  getBranchDiff,
+  getCurrentBranch,
+  getRepositoryRoot,
+} from "./utils/git.js";
+
+// Sections used when the repository has no pull request template
+export const DEFAULT_PR_SECTIONS = [
+  { heading: "Summary", guidance: "what the change does and why" },
+  { heading: "Changes", guidance: "a bullet list of the notable changes" },
+  {
+    heading: "Testing",
+    guidance: "how the change was tested and how reviewers can verify it",
+  },
+  {
+    heading: "Risks",
+    guidance:
+      'what could break, migrations or rollout concerns; "None" if there are none',
+  },
+];
+
+// Directories GitHub looks in for pull_request_template.md, in order
+const PR_TEMPLATE_DIRS = [".github", ".", "docs"];
+
+export function findPrTemplate(root) {
+  for (const dir of PR_TEMPLATE_DIRS) {
+    const path = join(root, dir);
+    if (!existsSync(path)) continue;
+
+    const name = readdirSync(path).find(
+      (file) => file.toLowerCase() === "pull_request_template.md",
+    );
+    if (name) return join(path, name);
+  }
+
+  return null;
+}
+
+// Comparable form of a heading: "## 🧪 How to test?" -> "how to test"
+function headingKey(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Headings of a template as [{ heading, guidance }]; HTML comments below a
+// heading are instructions for the author, so they guide the engine too
+export function parsePrTemplate(template) {
+  const sections = [];
+
+  for (const block of template.split(/^(?=#{1,6}\s)/m)) {
+    const heading = block.match(/^#{1,6}\s+(.+)$/m);
+    if (!heading || !block.startsWith("#")) continue;
+
+    const guidance = [...block.matchAll(/<!--([\s\S]*?)-->/g)]
+      .map((comment) => comment[1].replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .join(" ");
+
+    sections.push({ heading: heading[1].trim(), guidance });
+  }
+
+  return sections;
+}
+
+// Split generated Markdown into { headingKey: content }; text before the
+// first heading is kept under ""
+export function splitSections(markdown = "") {
+  const sections = { "": [] };
+  let current = "";
+
+  for (const line of markdown.split("\n")) {
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (heading) {
+      current = headingKey(heading[1]);
+      sections[current] = [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(sections).map(([key, lines]) => [
+      key,
+      lines.join("\n").trim(),
+    ]),
+  );
+}
+
+// Put the generated sections below the matching template headings. Comments
+// are dropped; anything else in the template (checklists, links) is kept.
+export function fillPrTemplate(template, generated) {
+  const sections = splitSections(generated);
+  const lines = [];
+  let first = true;
+
+  for (const line of template.replace(/<!--[\s\S]*?-->/g, "").split("\n")) {
+    lines.push(line);
+
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (!heading) continue;
+
+    // Text before the first generated heading (or all of it, when the
+    // engine ignored the headings) belongs to the first section
+    const content =
+      sections[headingKey(heading[1])] || (first ? sections[""] : "");
+    first = false;
+
+    if (content) {
+      lines.push("", content, "");
+    }
+  }
+
+  return lines
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function defaultTemplate() {
+  return DEFAULT_PR_SECTIONS.map(({ heading }) => `## ${heading}`).join("\n\n");
+}
+
+export function renderPrDescription(result, template) {
+  const body = fillPrTemplate(template || defaultTemplate(), result.summary);
+  const notes = result.tech?.trim();
+
+  return notes && !/^(none|n\/a|empty)\.?$/i.test(notes)
+    ? `${body}\n\n## Notes for reviewers\n\n${notes}`
+    : body;
+}
+
+export function formatPr(pr, output) {
+  if (output === "json") {
+    return JSON.stringify(
+      {
+        title: pr.title,
+        body: pr.body,
+        ...(pr.metadata && { metadata: pr.metadata }),
+        ...(pr.pushed && { pushed: pr.pushed }),
+      },
+      null,
+      2,
+    );
+  }
+
+  return `# ${pr.title}\n\n${pr.body}`;
+}
+
+export async function generatePrDescription(options) {
+  try {
+    // Check if we're in a git repository
+    try {
+      execSync("git rev-parse --git-dir", { stdio: "ignore" });
+    } catch {
+      throw new Error("Not a git repository");
+    }
+
+    const branch = options.branch || getCurrentBranch();
+    if (!branch) {
+      throw new Error(
+        "Could not determine the current branch (detached HEAD?); pass --branch",
+      );
+    }
+
+    const baseBranch = options.baseBranch || "main";
+    if (branch === baseBranch) {
+      throw new Error(
+        `${branch} is the base branch; check out a feature branch or pass --base-branch`,
+      );
+    }
+
+    const { diff, commits } = getBranchDiff(branch, baseBranch);
+    if (!diff) {
+      throw new Error(`No changes between ${baseBranch} and ${branch}`);
+    }
+
+    const templatePath =
+      options.prTemplate || findPrTemplate(getRepositoryRoot());
+    if (templatePath && !existsSync(templatePath)) {
+      throw new Error(`Pull request template not found: ${templatePath}`);
+    }
+    const template = templatePath ? readFileSync(templatePath, "utf-8") : null;
+    const templateSections = template ? parsePrTemplate(template) : [];
+
+    if (templatePath && options.verbose) {
+      console.log(`📄 Using pull request template ${templatePath}`);
+    }
+
+    const result = await callAIEngine(preprocessDiff(diff, options), {
+      ...options,
+      prMode: true,
+      prSections:
+        templateSections.length > 0 ? templateSections : DEFAULT_PR_SECTIONS,
+      currentBranch: branch,
+      commitMessages: commits,
+      diffSource: `branch:${baseBranch}...${branch}`,
+    });
+
+    const pr = {
+      title: result.title,
+      // Templates without headings get the default sections on top
+      body:
+        templateSections.length > 0
+          ? renderPrDescription(result, template)
+          : [
+              renderPrDescription(result),
+              template?.replace(/<!--[\s\S]*?-->/g, "").trim(),
+            ]
+              .filter(Boolean)
+              .join("\n\n"),
+      metadata: result.metadata,
+    };
+
+    // Open the pull request first so JSON output can link to it; the
+    // description is still printed if that fails
+    let submitError;
+    if (options.submit) {
+      try {
+        pr.pushed = await submitPullRequest(pr, {
+          ...options,
+          branch,
+          baseBranch,
+        });
+      } catch (error) {
+        submitError = error;
+      }
+    }
+
+    const formatted = formatPr(pr, options.output);
+
+    if (options.file) {
+      // The file holds just the body, ready for --body-file
+      writeFileSync(
+        options.file,
+        options.output === "json" ? formatted : `${pr.body}\n`,
+      );
+      console.log(`✅ Pull request description saved to ${options.file}`);
+
+      if (!options.submit && options.output !== "json") {
+        console.log("\n💡 Open the pull request with:");
+        console.log(
+          `gh pr create --title ${escapeShellString(pr.title)} --body-file ${options.file}`,
+        );
+      }
+    } else {
+      console.log(formatted);
+    }
+
+    if (submitError) {
+      throw new Error(
+        `Could not open the pull request: ${submitError.message}`,
+      );
+    }
+  } catch (error) {
+    throw new Error(
+      `Failed to generate pull request description: ${error.message}`,
+    );
+  }
+}
+
+function escapeShellString(str) {
+  return `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+// Through the GitHub API when a token is configured, otherwise with the gh
+// CLI; returns { target, id, url }
+async function submitPullRequest(pr, config) {
+  const { id, url, updated } = getGitHubSettings(config).token
+    ? await createPullRequest(pr, config)
+    : submitWithGh(pr, config);
+
+  // stderr, so --output json stays parseable; the URL is in the result too
+  console.error(
+    `✅ ${updated ? "Updated" : "Created"} pull request #${id}: ${url}`,
+  );
+
+  return { target: "github", id, url };
+}
+
+function runGh(args, input) {
+  const result = spawnSync("gh", args, { input, encoding: "utf-8" });
+
+  if (result.error?.code === "ENOENT") {
+    throw new Error(
+      "No GitHub token and the gh CLI is not installed: run 'create-task setup --integration github' or install gh",
+    );
+  }
+  if (result.error) throw result.error;
+
+  return result;
+}
+
+function submitWithGh(pr, { branch, baseBranch, draft }) {
+  let result = runGh(
+    [
+      "pr",
+      "create",
+      "--title",
+      pr.title,
+      "--body-file",
+      "-",
+      "--base",
+      baseBranch,
+      "--head",
+      branch,
+      ...(draft ? ["--draft"] : []),
+    ],
+    pr.body,
+  );
+
+  let updated = false;
+  if (result.status !== 0 && /already exists/i.test(result.stderr)) {
+    result = runGh(
+      ["pr", "edit", branch, "--title", pr.title, "--body-file", "-"],
+      pr.body,
+    );
+    updated = true;
+  }
+
+  if (result.status !== 0) {
+    throw new Error(`gh failed: ${result.stderr.trim()}`);
+  }
+
+  const url = result.stdout.trim().split("\n").pop();
+  return { id: Number(url.match(/\/pull\/(\d+)/)?.[1]) || null, url, updated };
+}
@@ -1,61 +1,240 @@
 // src/createTask.js
 import { execSync } from "child_process";
+import { OUTPUT_FORMATS } from "./config.js";
 import { generateTaskFromDiff as callAIEngine } from "./engines/index.js";
-import { formatMarkdown, formatJSON } from "./formatters.js";
+import {
+  formatAzureDevOps,
+  formatGitHubIssue,
+  formatGitLabIssue,
+  formatJira,
+  formatMarkdown,
+  formatJSON,
+} from "./formatters.js";
+import { getAzureDevOpsSettings } from "./integrations/azureDevOps.js";
+import { getGitHubSettings } from "./integrations/github.js";
+import { getGitLabSettings } from "./integrations/gitlab.js";
+import { getJiraSettings } from "./integrations/jira.js";
+import { pushTask } from "./integrations/index.js";
+import {
+  filterFiles,
+  parseDiff,
+  preprocessDiff,
+} from "./utils/diffProcessor.js";
+import {
+  getBranchDiff,
+  getCurrentBranch,
+  getRangeDiff,
+  getSinceDiff,
+  getWorktreeDiff,
+} from "./utils/git.js";
 import { writeFileSync } from "fs";
+import { generateTasksPerCommit } from "./createTaskBatch.js";
+import { parsePatch, readDiffFile, readStdin } from "./utils/diffInput.js";
+
+// Mutually exclusive ways of choosing the diff, with their CLI flags
+const DIFF_MODES = [
+  ["staged", "--staged"],
+  ["commit", "--commit"],
+  ["range", "--range"],
+  ["branch", "--branch"],
+  ["since", "--since"],
+  ["worktree", "--worktree"],
+  ["diffFile", "--diff-file"],
+  ["stdin", "--stdin"],
+];
 
 export async function generateTaskFromDiff(options) {
-  if (!["markdown", "json"].includes(options.output)) {
-    throw new Error('Output format must be "markdown" or "json"');
+  if (!OUTPUT_FORMATS.includes(options.output)) {
+    throw new Error(
+      `Output format must be one of: ${OUTPUT_FORMATS.map((format) => `"${format}"`).join(", ")}`,
+    );
   }
 
   try {
-    // Check if we're in a git repository
-    try {
-      execSync("git rev-parse --git-dir", { stdio: "ignore" });
-    } catch {
+    const diffModes = DIFF_MODES.filter(([option]) => options[option]);
+    if (diffModes.length > 1) {
       throw new Error(
-        "Not a git repository. Initialize with 'git init' first.",
+        `Use only one of ${diffModes.map(([, flag]) => flag).join(", ")}`,
+      );
+    }
+
+    // A patch is a single diff, there are no commits to walk
+    if (options.perCommit && (options.diffFile || options.stdin)) {
+      throw new Error(
+        `--per-commit can't be used with ${options.stdin ? "--stdin" : "--diff-file"}; use it with --range, --branch or --since`,
       );
     }
 
     let diff;
+    let diffSource;
+    // Commit messages of the range, passed to the prompt as extra context
+    let commitMessages = [];
 
-    if (options.staged) {
-      // Use staged changes
-      const stagedFiles = execSync("git diff --cached --name-only", {
-        encoding: "utf-8",
-      }).trim();
+    // Patch files and stdin don't need a repository
+    if (options.diffFile || options.stdin) {
+      const patch = options.stdin
+        ? await readStdin()
+        : readDiffFile(options.diffFile);
 
-      if (!stagedFiles) {
+      ({ diff, commits: commitMessages } = parsePatch(patch));
+      diffSource = options.stdin ? "stdin" : `file:${options.diffFile}`;
+    } else {
+      // Check if we're in a git repository
+      try {
+        execSync("git rev-parse --git-dir", { stdio: "ignore" });
+      } catch {
         throw new Error(
-          'No staged changes found. Use "git add <files>" to stage changes first.',
+          "Not a git repository. Initialize with 'git init' first.",
         );
       }
 
-      diff = execSync("git diff --cached", { encoding: "utf-8" }).trim();
-    } else if (options.commit) {
-      // Compare against specific commit
+      if (options.perCommit) {
+        return await generateTasksPerCommit(options);
+      }
+
+      ({ diff, diffSource, commitMessages } = getGitDiff(options));
+    }
+
+    if (!diff) {
+      throw new Error("No changes found to analyze.");
+    }
+
+    // Paths of the analysed files, used to label GitHub issues
+    const changedFiles = filterFiles(
+      parseDiff(diff),
+      options.excludePatterns,
+    ).map((file) => file.path);
+
+    // Drop excluded files and add stats/anonymise file names as configured
+    diff = preprocessDiff(diff, options);
+
+    // Generate task using AI engine with system-wide config
+    const result = await callAIEngine(diff, {
+      ...options,
+      currentBranch:
+        diffSource.startsWith("file:") || diffSource === "stdin"
+          ? ""
+          : getCurrentBranch(),
+      commitMessages,
+      diffSource,
+    });
+
+    // Create the task in a tracker first so JSON output can link to it; the
+    // generated task is still printed if that fails
+    let pushError;
+    if (options.push) {
       try {
-        diff = execSync(`git diff ${options.commit}`, {
-          encoding: "utf-8",
-        }).trim();
+        result.pushed = await pushTask(options.push, result, {
+          ...options,
+          changedFiles,
+        });
       } catch (error) {
-        throw new Error(
-          `Invalid commit hash: ${options.commit}. Details: ${error.message}`,
-        );
+        pushError = error;
       }
+    }
+
+    // Format and output result
+    const formatted = formatTask(result, { ...options, changedFiles });
+
+    if (options.file) {
+      writeFileSync(options.file, formatted);
+      console.log(`✅ Task saved to ${options.file}`);
     } else {
-      // Try to get diff from last commit with better error handling
-      try {
-        // First check if we have any commits
-        const commitCount = execSync("git rev-list --count HEAD", {
-          encoding: "utf-8",
-          stdio: "pipe",
-        }).trim();
+      console.log(formatted);
+    }
+
+    if (pushError) {
+      throw new Error(
+        `Could not push to ${options.push}: ${pushError.message}`,
+      );
+    }
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error("Git is not installed or not in PATH");
+    } else {
+      throw new Error(`Error generating task: ${error.message}`);
+    }
+  }
+}
+
+function formatTask(task, options) {
+  switch (options.output) {
+    case "json":
+      return formatJSON(task);
+    case "azure-devops":
+      return formatAzureDevOps(task, getAzureDevOpsSettings(options));
+    case "github":
+      return formatGitHubIssue(task, getGitHubSettings(options));
+    case "gitlab":
+      return formatGitLabIssue(task, getGitLabSettings(options));
+    case "jira":
+      return formatJira(task, getJiraSettings(options));
+    default:
+      return formatMarkdown(task);
+  }
+}
 
-        if (commitCount === "0") {
-          throw new Error(`No commits found in repository. Try one of these options:
+// Pick the diff from the repository according to --range, --branch, --since,
+// --worktree, --staged or --commit, defaulting to the last commit
+function getGitDiff(options) {
+  let diff;
+  let diffSource;
+  // Commit messages of the range, passed to the prompt as extra context
+  let commitMessages = [];
+
+  if (options.range) {
+    ({ diff, commits: commitMessages } = getRangeDiff(options.range));
+    diffSource = `range:${options.range}`;
+  } else if (options.branch) {
+    const baseBranch = options.baseBranch || "main";
+    ({ diff, commits: commitMessages } = getBranchDiff(
+      options.branch,
+      baseBranch,
+    ));
+    diffSource = `branch:${baseBranch}...${options.branch}`;
+  } else if (options.since) {
+    ({ diff, commits: commitMessages } = getSinceDiff(options.since));
+    diffSource = `since:${options.since}`;
+  } else if (options.worktree) {
+    diff = getWorktreeDiff();
+    diffSource = "worktree";
+  } else if (options.staged) {
+    // Use staged changes
+    const stagedFiles = execSync("git diff --cached --name-only", {
+      encoding: "utf-8",
+    }).trim();
+
+    if (!stagedFiles) {
+      throw new Error(
+        'No staged changes found. Use "git add <files>" to stage changes first.',
+      );
+    }
+
+    diff = execSync("git diff --cached", { encoding: "utf-8" }).trim();
+    diffSource = "staged";
+  } else if (options.commit) {
+    // Compare against specific commit
+    try {
+      diff = execSync(`git diff ${options.commit}`, {
+        encoding: "utf-8",
+      }).trim();
+      diffSource = `commit:${options.commit}`;
+    } catch (error) {
+      throw new Error(
+        `Invalid commit hash: ${options.commit}. Details: ${error.message}`,
+      );
+    }
+  } else {
+    // Try to get diff from last commit with better error handling
+    try {
+      // First check if we have any commits
+      const commitCount = execSync("git rev-list --count HEAD", {
+        encoding: "utf-8",
+        stdio: "pipe",
+      }).trim();
+
+      if (commitCount === "0") {
+        throw new Error(`No commits found in repository. Try one of these options:
 
 📝 Option 1 - Use staged changes:
    git add .
@@ -68,26 +247,29 @@ export async function generateTaskFromDiff(options) {
 
 📝 Option 3 - Compare against specific commit:
    ct --commit <commit-hash> --detailed`);
-        }
+      }
 
-        if (parseInt(commitCount) < 2) {
-          // Only one commit, compare against empty tree
-          diff = execSync("git diff --root HEAD", { encoding: "utf-8" }).trim();
-        } else {
-          // Normal case: compare against previous commit
-          diff = execSync("git diff HEAD~1", { encoding: "utf-8" }).trim();
-        }
-      } catch (error) {
-        if (error.message.includes("No commits found")) {
-          throw error; // Re-throw our custom error
-        }
+      if (parseInt(commitCount) < 2) {
+        // Only one commit, compare against empty tree
+        diff = execSync("git diff --root HEAD", { encoding: "utf-8" }).trim();
+        diffSource = "root";
+      } else {
+        // Normal case: compare against previous commit
+        diff = execSync("git diff HEAD~1", { encoding: "utf-8" }).trim();
+        diffSource = "HEAD~1";
+      }
+    } catch (error) {
+      if (error.message.includes("No commits found")) {
+        throw error; // Re-throw our custom error
+      }
 
-        // Fallback to working directory changes
-        try {
-          diff = execSync("git diff", { encoding: "utf-8" }).trim();
+      // Fallback to working directory changes
+      try {
+        diff = execSync("git diff", { encoding: "utf-8" }).trim();
+        diffSource = "working-tree";
 
-          if (!diff) {
-            throw new Error(`No changes found. Try one of these options:
+        if (!diff) {
+          throw new Error(`No changes found. Try one of these options:
 
 📝 Option 1 - Use staged changes:
    git add .
@@ -99,37 +281,14 @@ export async function generateTaskFromDiff(options) {
 
 📝 Option 3 - Compare against specific commit:
    ct --commit <commit-hash> --detailed`);
-          }
-        } catch (fallbackError) {
-          throw new Error(
-            `Unable to generate diff. Original error: ${error.message}. Fallback error: ${fallbackError.message}`,
-          );
         }
+      } catch (fallbackError) {
+        throw new Error(
+          `Unable to generate diff. Original error: ${error.message}. Fallback error: ${fallbackError.message}`,
+        );
       }
     }
-
-    if (!diff) {
-      throw new Error("No changes found to analyze.");
-    }
-
-    // Generate task using AI engine with system-wide config
-    const result = await callAIEngine(diff, options);
-
-    // Format and output result
-    const formatted =
-      options.output === "json" ? formatJSON(result) : formatMarkdown(result);
-
-    if (options.file) {
-      writeFileSync(options.file, formatted);
-      console.log(`✅ Task saved to ${options.file}`);
-    } else {
-      console.log(formatted);
-    }
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      throw new Error("Git is not installed or not in PATH");
-    } else {
-      throw new Error(`Error generating task: ${error.message}`);
-    }
   }
+
+  return { diff, diffSource, commitMessages };
 }
@@ -0,0 +1,259 @@
+// src/createTaskBatch.js
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { generateTaskFromDiff as callAIEngine } from "./engines/index.js";
+import { formatMarkdown, toTaskJSON } from "./formatters.js";
+import { preprocessDiff } from "./utils/diffProcessor.js";
+import {
+  getCommitDiff,
+  getCurrentBranch,
+  getRevisionArgs,
+  listCommits,
+} from "./utils/git.js";
+import { createRateLimiter } from "./utils/rateLimiter.js";
+
+const DEFAULT_CONCURRENCY = 2;
+
+// One task per commit of --range, --branch or --since. JSON results are
+// collected into an array (rewritten to --file after every commit so an
+// interrupted run can --resume); markdown is written to one file per commit
+// in --output-dir.
+export async function generateTasksPerCommit(options) {
+  const revisionArgs = getRevisionArgs(options);
+  if (!revisionArgs) {
+    throw new Error(
+      "--per-commit needs --range, --branch or --since to select the commits",
+    );
+  }
+
+  if (!["markdown", "json"].includes(options.output)) {
+    throw new Error(
+      `--per-commit supports markdown and json output, not ${options.output}`,
+    );
+  }
+
+  const isJSON = options.output === "json";
+  if (!isJSON && !options.outputDir) {
+    throw new Error(
+      "--per-commit with markdown output needs --output-dir <dir> for the per-commit files (or use --output json)",
+    );
+  }
+  if (isJSON && options.resume && !options.file) {
+    throw new Error(
+      "--resume with JSON output needs --file <path> to read earlier results from",
+    );
+  }
+
+  const concurrency = Number(
+    options.concurrency ?? options.batch?.concurrency ?? DEFAULT_CONCURRENCY,
+  );
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency: ${options.concurrency}. Must be a positive integer`,
+    );
+  }
+
+  // One limiter for every engine request of every worker
+  const rateLimiter = createRateLimiter(
+    options.rateLimit ?? options.batch?.requestsPerMinute,
+  );
+
+  const commits = listCommits(revisionArgs);
+  if (commits.length === 0) {
+    throw new Error(`No commits found for ${revisionArgs.join(" ")}`);
+  }
+
+  const previous = isJSON && options.resume ? readResults(options.file) : [];
+  const processed = options.resume
+    ? getProcessedCommits(options, previous)
+    : new Set();
+  const pending = commits.filter(
+    (commit) => !processed.has(commit.hash.slice(0, 7)),
+  );
+
+  // Progress goes to stderr so stdout stays clean for --output json
+  if (pending.length < commits.length) {
+    console.error(
+      `⏭️  Skipping ${commits.length - pending.length} already processed commits`,
+    );
+  }
+  console.error(
+    `📚 Generating tasks for ${pending.length} commits (concurrency ${concurrency})...`,
+  );
+
+  if (!isJSON) {
+    mkdirSync(options.outputDir, { recursive: true });
+  }
+
+  const results = new Map(previous.map((entry) => [entry.commit, entry]));
+  const failures = [];
+  const currentBranch = getCurrentBranch();
+  let completed = 0;
+
+  const saveResults = () => {
+    if (!isJSON || !options.file) return;
+    writeFileSync(
+      options.file,
+      JSON.stringify(orderResults(results, commits), null, 2),
+    );
+  };
+
+  await runWithConcurrency(pending, concurrency, async (commit) => {
+    const label = `${commit.hash.slice(0, 7)} ${commit.subject}`;
+
+    try {
+      const task = await generateCommitTask(commit, {
+        ...options,
+        currentBranch,
+        rateLimiter,
+      });
+      completed++;
+
+      if (!task) {
+        console.error(
+          `⏭️  [${completed}/${pending.length}] ${label}: no changes to analyze`,
+        );
+        return;
+      }
+
+      if (isJSON) {
+        results.set(commit.hash, {
+          commit: commit.hash,
+          subject: commit.subject,
+          author: commit.author,
+          date: commit.date,
+          ...toTaskJSON(task),
+        });
+        saveResults();
+      } else {
+        writeFileSync(
+          join(options.outputDir, getMarkdownFileName(commit)),
+          `**Commit**: ${commit.hash.slice(0, 7)} ${commit.subject}\n\n${formatMarkdown(task)}\n`,
+        );
+      }
+
+      console.error(`✅ [${completed}/${pending.length}] ${label}`);
+    } catch (error) {
+      completed++;
+      failures.push(`${label}: ${error.message}`);
+      console.error(
+        `❌ [${completed}/${pending.length}] ${label}: ${error.message}`,
+      );
+    }
+  });
+
+  if (isJSON) {
+    if (options.file) {
+      saveResults();
+      console.error(`✅ Tasks saved to ${options.file}`);
+    } else {
+      console.log(JSON.stringify(orderResults(results, commits), null, 2));
+    }
+  } else {
+    console.error(`✅ Tasks saved to ${options.outputDir}`);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      `${failures.length} of ${pending.length} commits failed (run again with --resume to retry them):\n  • ${failures.join("\n  • ")}`,
+    );
+  }
+}
+
+async function generateCommitTask(commit, options) {
+  let diff = getCommitDiff(commit.hash);
+  if (!diff) return null;
+
+  try {
+    diff = preprocessDiff(diff, options);
+  } catch (error) {
+    // Commits that only touch excluded files are skipped, not failed
+    if (error.message.startsWith("No changes left to analyze")) return null;
+    throw error;
+  }
+
+  return callAIEngine(diff, {
+    ...options,
+    commitMessages: [commit.message],
+    diffSource: `commit:${commit.hash}`,
+  });
+}
+
+// Run worker over items with at most `concurrency` in flight
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+
+  const runners = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (next < items.length) {
+        await worker(items[next++]);
+      }
+    },
+  );
+
+  await Promise.all(runners);
+}
+
+function readResults(file) {
+  if (!existsSync(file)) return [];
+
+  let results;
+  try {
+    results = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read earlier results from ${file}: ${error.message}`,
+    );
+  }
+
+  if (!Array.isArray(results)) {
+    throw new Error(
+      `Could not read earlier results from ${file}: expected a JSON array`,
+    );
+  }
+
+  return results;
+}
+
+// Short hashes of commits that already have a result
+function getProcessedCommits(options, previous) {
+  if (options.output === "json") {
+    return new Set(previous.map((entry) => entry.commit.slice(0, 7)));
+  }
+
+  if (!existsSync(options.outputDir)) return new Set();
+
+  return new Set(
+    readdirSync(options.outputDir)
+      .filter((file) => /^[0-9a-f]{7}-.*\.md$/.test(file))
+      .map((file) => file.slice(0, 7)),
+  );
+}
+
+function getMarkdownFileName(commit) {
+  const slug = commit.subject
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+
+  return `${commit.hash.slice(0, 7)}-${slug || "commit"}.md`;
+}
+
+// Results in commit order; entries from earlier runs that are no longer in
+// the range are kept at the front
+function orderResults(results, commits) {
+  const hashes = new Set(commits.map((commit) => commit.hash));
+
+  return [
+    ...[...results.values()].filter((entry) => !hashes.has(entry.commit)),
+    ...commits.map((commit) => results.get(commit.hash)).filter(Boolean),
+  ];
+}
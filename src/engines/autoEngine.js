@@ -1,27 +1,22 @@
 import { getApiKey, hasAnyApiKey } from "../config/systemConfig.js";
-import { callFreeTier } from "./freeTierEngine.js";
-import { callGroq } from "./groqEngine.js";
-import { callOpenAI } from "./openaiEngine.js";
+import { getAutoEngines, listEngines } from "./registry.js";
 
 export async function callAuto(diff, engineConfig = {}) {
   // Get API keys from system config first, then fall back to environment
-  const apiKeys = {
-    groq: getApiKey("groq"),
-    openai: getApiKey("openai"),
-    huggingface: getApiKey("huggingface"),
-  };
-
-  // Try engines in order of preference, based on available keys
-  const engines = [];
-
-  if (apiKeys.groq) engines.push("groq");
-  if (apiKeys.openai) engines.push("openai");
-  if (apiKeys.huggingface) engines.push("huggingface");
+  const apiKeys = {};
+  for (const engine of listEngines()) {
+    if (engine.apiKey) apiKeys[engine.apiKey] = getApiKey(engine.apiKey);
+  }
 
-  // Always add freetier as fallback
-  engines.push("freetier");
+  // Try engines in order of preference, based on available keys. Keyless
+  // engines (the free tier) are always available as a fallback.
+  const engines = getAutoEngines().filter(
+    (engine) =>
+      (!engine.apiKey || apiKeys[engine.apiKey]) &&
+      (!engineConfig.commitMode || engine.capabilities.commitMode),
+  );
 
-  if (engines.length === 1 && engines[0] === "freetier") {
+  if (engines.every((engine) => !engine.apiKey)) {
     console.log("🆓 No API keys configured, using free tier...");
   }
 
@@ -33,40 +28,29 @@ export async function callAuto(diff, engineConfig = {}) {
       const configWithMappedModel = mapModelToEngine(engineConfig, engine);
       const configWithKeys = { ...configWithMappedModel, apiKeys };
 
-      switch (engine) {
-        case "groq":
-          console.log("🚀 Trying Groq API...");
-          return await callGroq(diff, configWithKeys);
-
-        case "openai":
-          console.log("🤖 Trying OpenAI API...");
-          return await callOpenAI(diff, configWithKeys);
-
-        case "freetier":
-          console.log("🆓 Trying free tier...");
-          return await callFreeTier(diff, configWithKeys);
-      }
+      console.log(`${engine.icon} Trying ${engine.label}...`);
+      const result = await engine.call(diff, configWithKeys);
+
+      // Record which engine answered; engines may report a more precise model
+      return {
+        ...result,
+        metadata: {
+          engine: engine.name,
+          model: configWithKeys.model,
+          ...result.metadata,
+        },
+      };
     } catch (error) {
-      errors.push(`${engine}: ${error.message}`);
+      errors.push(`${engine.name}: ${error.message}`);
 
       // Log the failure and continue to next engine
       if (isRetryableError(error)) {
         console.log(
-          `⚠️  ${engine} temporarily unavailable (${getErrorType(error)}), trying next option...`,
+          `⚠️  ${engine.name} temporarily unavailable (${getErrorType(error)}), trying next option...`,
         );
       } else {
-        console.log(`❌ ${engine} failed: ${error.message}`);
-      }
-
-      // Don't continue if free tier fails and it's the last option
-      if (
-        engine === "freetier" &&
-        engines.indexOf(engine) === engines.length - 1
-      ) {
-        break;
+        console.log(`❌ ${engine.name} failed: ${error.message}`);
       }
-
-      continue;
     }
   }
 
@@ -114,75 +98,23 @@ function getErrorType(error) {
   return "error";
 }
 
-function mapModelToEngine(engineConfig, targetEngine) {
+function mapModelToEngine(engineConfig, engine) {
   const { model } = engineConfig;
 
-  // Model mappings between engines
-  const modelMappings = {
-    // Groq models
-    "llama-3.3-70b-versatile": {
-      groq: "llama-3.3-70b-versatile",
-      openai: "gpt-4o-mini",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-    "llama-3.1-70b-versatile": {
-      groq: "llama-3.1-70b-versatile",
-      openai: "gpt-4o-mini",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-    "mixtral-8x7b-32768": {
-      groq: "mixtral-8x7b-32768",
-      openai: "gpt-4o-mini",
-      huggingface: "mistralai/Mixtral-8x7B-Instruct-v0.1",
-      freetier: "llama-3.3-70b-versatile",
-    },
-
-    // OpenAI models
-    "gpt-4o": {
-      groq: "llama-3.3-70b-versatile",
-      openai: "gpt-4o",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-    "gpt-4o-mini": {
-      groq: "llama-3.3-70b-versatile",
-      openai: "gpt-4o-mini",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-    "gpt-4": {
-      groq: "llama-3.3-70b-versatile",
-      openai: "gpt-4",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-    "gpt-3.5-turbo": {
-      groq: "llama-3.1-8b-instant",
-      openai: "gpt-3.5-turbo",
-      huggingface: "meta-llama/Llama-3.1-8B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    },
-  };
-
   // If no model specified, use engine defaults
   if (!model) {
-    const defaultModels = {
-      groq: "llama-3.3-70b-versatile",
-      openai: "gpt-4o-mini",
-      huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-      freetier: "llama-3.3-70b-versatile",
-    };
-
     return {
       ...engineConfig,
-      model: defaultModels[targetEngine] || "gpt-4o-mini",
+      model: engine.defaultModel || "gpt-4o-mini",
     };
   }
 
-  // Map the model to the target engine using optional chaining
-  const mappedModel = modelMappings[model]?.[targetEngine];
+  // Keep models the engine supports, otherwise use its closest equivalent
+  if (engine.models.includes(model)) {
+    return engineConfig;
+  }
+
+  const mappedModel = engine.modelMap[model];
   if (mappedModel) {
     return {
       ...engineConfig,
@@ -191,21 +123,14 @@ function mapModelToEngine(engineConfig, targetEngine) {
   }
 
   // If no mapping found, use engine-specific defaults
-  const engineDefaults = {
-    groq: "llama-3.3-70b-versatile",
-    openai: "gpt-4o-mini",
-    huggingface: "meta-llama/Llama-3.1-70B-Instruct",
-    freetier: "llama-3.3-70b-versatile",
-  };
-
-  if (model && engineDefaults[targetEngine] !== model) {
+  if (engine.defaultModel && engine.defaultModel !== model) {
     console.log(
-      `ℹ️  Model "${model}" not available for ${targetEngine}, using ${engineDefaults[targetEngine]}`,
+      `ℹ️  Model "${model}" not available for ${engine.name}, using ${engine.defaultModel}`,
     );
   }
 
   return {
     ...engineConfig,
-    model: engineDefaults[targetEngine] || model,
+    model: engine.defaultModel || model,
   };
 }
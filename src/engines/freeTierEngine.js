@@ -1,6 +1,7 @@
 import fetch from "node-fetch";
 import { getUsage, updateUsage, hasAnyApiKey } from "../config/systemConfig.js";
 import { interactiveSetup } from "../utils/keyManager.js";
+import { buildPrompt } from "../prompts.js";
 
 const FREE_TIER_LIMITS = {
   daily: 10, // Conservative limit for shared key
@@ -94,6 +95,7 @@ export async function callFreeTier(diff, engineConfig = {}) {
       body: JSON.stringify({
         diff,
         engineConfig,
+        prompt: buildPrompt(diff, engineConfig),
       }),
     });
 
@@ -105,34 +107,27 @@ export async function callFreeTier(diff, engineConfig = {}) {
     const result = await response.json();
     updateUsage();
 
-    if (engineConfig.commitMode) {
-      const commitMessage =
-        result.data?.commit ||
-        result.data?.message ||
-        result.commit ||
-        result.message ||
-        "chore: update code";
-
-      // Return a structured object that matches what your formatCommitMessage expects
-      return {
-        type: "commit",
-        message: commitMessage,
-        commit: commitMessage,
-        description: commitMessage,
-      };
-    } else {
-      // For task mode, ensure we return the data with proper structure
-      const taskData = result.data;
+    const metadata = {
+      engine: "freetier",
+      model: result.model || null,
+      usage: result.usage || null,
+    };
 
-      // Ensure all required fields are present
+    // The service answers with a ready-made commit message or a task using
+    // the "technical" key; both are normalised by the caller
+    if (engineConfig.commitMode) {
       return {
-        type: taskData?.type || "task",
-        title: taskData?.title || "Task Title",
-        summary: taskData?.summary || "Task summary not available",
-        technical: taskData?.technical || "Technical details not available",
-        ...taskData, // Include any additional fields
+        message:
+          result.data?.commit ||
+          result.data?.message ||
+          result.commit ||
+          result.message ||
+          "chore: update code",
+        metadata,
       };
     }
+
+    return { ...result.data, metadata };
   } catch (error) {
     console.error("Free tier unavailable:", error.message);
 
@@ -0,0 +1,74 @@
+import fetch from "node-fetch";
+import { buildPrompt, buildCommitPrompt } from "../prompts.js";
+import { parseTaskResponse, parseCommitResponse } from "./responseParser.js";
+
+export async function callHuggingFace(diff, engineConfig = {}) {
+  if (!process.env.HUGGINGFACE_API_KEY) {
+    throw new Error(
+      "Missing Hugging Face API key. Set HUGGINGFACE_API_KEY in .env or run: create-task setup",
+    );
+  }
+
+  const model = engineConfig.model || "meta-llama/Llama-3.1-70B-Instruct";
+  const isDetailed = engineConfig.detailed || false;
+  const isCommitMode = engineConfig.commitMode || false;
+
+  // Handle commit message generation
+  if (isCommitMode) {
+    const { content, usage } = await requestCompletion({
+      model,
+      messages: [
+        { role: "user", content: buildCommitPrompt(diff, engineConfig) },
+      ],
+      temperature: engineConfig.temperature || 0.2, // Lower temperature for more consistent formatting
+      max_tokens: engineConfig.maxTokens || 300,
+    });
+
+    return {
+      ...parseCommitResponse(content, engineConfig),
+      metadata: { engine: "huggingface", model, usage },
+    };
+  }
+
+  const { content, usage } = await requestCompletion({
+    model,
+    messages: [{ role: "user", content: buildPrompt(diff, engineConfig) }],
+    temperature: engineConfig.temperature || 0.3,
+    max_tokens: isDetailed
+      ? engineConfig.maxTokens || 2000
+      : engineConfig.maxTokens || 1000,
+  });
+
+  return {
+    ...parseTaskResponse(content),
+    metadata: { engine: "huggingface", model, usage },
+  };
+}
+
+async function requestCompletion(requestBody) {
+  // The Inference Providers router exposes an OpenAI-compatible chat API
+  const baseUrl =
+    process.env.HUGGINGFACE_BASE_URL ||
+    "https://router.huggingface.co/v1/chat/completions";
+
+  const response = await fetch(baseUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
+    },
+    body: JSON.stringify(requestBody),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `Hugging Face API request failed: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content.trim(),
+    usage: data.usage || null,
+  };
+}
@@ -1,26 +1,154 @@
-import { callOpenAI } from "./openaiEngine.js";
-import { callGroq } from "./groqEngine.js";
-import { callLocalModel } from "./localModelEngine.js";
-import { callFreeTier } from "./freeTierEngine.js";
 import { callAuto } from "./autoEngine.js";
+import { getEngine, getEngineNames, loadEnginePlugins } from "./registry.js";
+import { resolveLocalConfig } from "./localModelEngine.js";
+import {
+  estimateTokens,
+  getContextWindow,
+  splitDiff,
+} from "../utils/diffChunker.js";
+import { addUsage, normalizeResult, renderCommitMessage } from "../models.js";
 
+// Room left for the instructions that wrap the diff in every prompt
+const PROMPT_OVERHEAD_TOKENS = 800;
+
+const MIN_DIFF_TOKENS = 500;
+
+// Number of diff tokens that fit in a single prompt for the configured model
+export function getDiffTokenBudget(config = {}) {
+  if (config.maxDiffTokens) {
+    return config.maxDiffTokens;
+  }
+
+  const model =
+    config.engine === "local" ? resolveLocalConfig(config).model : config.model;
+  const responseTokens =
+    config.maxTokens ||
+    (config.commitMode ? 300 : config.detailed ? 2000 : 1000);
+
+  return Math.max(
+    getContextWindow(model) - responseTokens - PROMPT_OVERHEAD_TOKENS,
+    MIN_DIFF_TOKENS,
+  );
+}
+
+// Returns a canonical task or commit (see models.js) whose metadata records
+// the engine, model, token usage, duration and diff source
 export async function generateTaskFromDiff(diff, config) {
+  await loadEnginePlugins(config.plugins);
+
+  const startedAt = Date.now();
+  const budget = getDiffTokenBudget(config);
+
+  const result =
+    estimateTokens(diff) <= budget
+      ? await callEngine(diff, config)
+      : await generateFromChunks(diff, config, budget);
+
+  return {
+    ...result,
+    metadata: {
+      ...result.metadata,
+      durationMs: Date.now() - startedAt,
+      diffSource: config.diffSource || null,
+    },
+  };
+}
+
+// Map-reduce over an oversized diff: summarise each chunk separately, then
+// ask the engine to merge the partial results into one task or commit
+async function generateFromChunks(diff, config, budget) {
+  const { preamble, chunks } = splitDiff(diff, budget);
+
+  if (chunks.length < 2) {
+    return await callEngine(diff, config);
+  }
+
+  // Progress goes to stderr so stdout stays clean for --output json and pipes
+  console.error(
+    `📦 Diff is ~${estimateTokens(diff)} tokens (budget ${budget}), splitting into ${chunks.length} chunks...`,
+  );
+
+  const partials = [];
+  for (const [index, chunk] of chunks.entries()) {
+    console.error(
+      `🧩 Summarising chunk ${index + 1}/${chunks.length} (~${estimateTokens(chunk)} tokens)...`,
+    );
+    partials.push(
+      await callEngine(chunk, {
+        ...config,
+        chunk: { index: index + 1, total: chunks.length },
+      }),
+    );
+  }
+
+  console.error(`🔗 Merging ${partials.length} partial results...`);
+  const merged = [
+    preamble,
+    ...partials.map((partial, index) =>
+      formatPartial(partial, index + 1, partials.length, config.commitMode),
+    ),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const result = await callEngine(merged, { ...config, mergeChunks: true });
+
+  // Report the tokens spent on every chunk, not just the merge request
+  const usage = [...partials, result].reduce(
+    (total, { metadata }) => addUsage(total, metadata.usage),
+    null,
+  );
+
+  return { ...result, metadata: { ...result.metadata, usage } };
+}
+
+function formatPartial(partial, index, total, commitMode) {
+  if (commitMode) {
+    return `Part ${index}/${total}:\n${renderCommitMessage(partial)}`;
+  }
+
+  return `Part ${index}/${total}:
+TITLE: ${partial.title}
+SUMMARY: ${partial.summary}
+TECHNICAL: ${partial.tech}`;
+}
+
+// Run the configured engine and normalise whatever it returns
+async function callEngine(diff, config) {
+  // Batch runs share one limiter across all of their requests
+  await config.rateLimiter?.acquire();
+
+  const result = await runEngine(diff, config);
+
+  return normalizeResult(
+    result,
+    {
+      engine: config.engine !== "auto" ? config.engine : null,
+      model: config.model,
+      ...result?.metadata,
+    },
+    config.commitMode,
+  );
+}
+
+async function runEngine(diff, config) {
   const engine = config.engine || "auto";
+  const definition = engine === "auto" ? null : getEngine(engine);
+
+  if (engine !== "auto" && !definition) {
+    throw new Error(
+      `Unknown engine: ${engine}. Available engines: auto, ${getEngineNames().join(", ")}`,
+    );
+  }
+
+  if (config.commitMode && definition && !definition.capabilities.commitMode) {
+    throw new Error(`The ${engine} engine does not support commit messages`);
+  }
 
   try {
-    switch (engine) {
-      case "openai":
-        return await callOpenAI(diff, config);
-      case "groq":
-        return await callGroq(diff, config);
-      case "freetier":
-        return await callFreeTier(diff, config);
-      case "local":
-        return await callLocalModel(diff, config);
-      case "auto":
-      default:
-        return await callAuto(diff, config);
-    }
+    return definition
+      ? await definition.call(diff, config)
+      : await callAuto(diff, config);
   } catch (error) {
     // If a specific engine fails with a temporary error, automatically fallback to auto
     if (engine !== "auto" && isTemporaryError(error)) {
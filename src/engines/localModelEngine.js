@@ -1,47 +1,144 @@
+import fetch from "node-fetch";
+import { buildPrompt, buildCommitPrompt } from "../prompts.js";
+import { parseTaskResponse, parseCommitResponse } from "./responseParser.js";
+
+const DEFAULT_LOCAL_ENDPOINT = "http://localhost:11434";
+const DEFAULT_LOCAL_MODEL = "llama2";
+
+// Talks to an Ollama server (/api/chat) or any OpenAI-compatible server
+// (/v1/chat/completions) such as llama.cpp, LM Studio or vLLM
 export async function callLocalModel(diff, engineConfig = {}) {
-  // Stub: Replace with integration to your local model (e.g., Ollama, llama.cpp)
   const isDetailed = engineConfig.detailed || false;
+  const isCommitMode = engineConfig.commitMode || false;
+  const localConfig = resolveLocalConfig(engineConfig);
 
-  console.log(`Local model would process diff of length: ${diff.length}`);
-  console.log(`Detailed mode: ${isDetailed}`);
+  if (isCommitMode) {
+    const { content, usage } = await requestCompletion(localConfig, {
+      prompt: buildCommitPrompt(diff, engineConfig),
+      temperature: engineConfig.temperature || 0.2,
+      maxTokens: engineConfig.maxTokens || 300,
+    });
 
-  if (isDetailed) {
-    return {
-      title: "Local Model: Comprehensive Development Task",
-      summary: `This is a detailed summary generated by the local model (stub).
-      
-Key functionality added/modified:
-- Comprehensive analysis of code changes
-- Business impact assessment
-- Requirements validation
-- Test coverage recommendations
-
-Test coverage requirements:
-- Unit tests for all new functionality
-- Integration tests for API endpoints
-- End-to-end tests for user workflows`,
-      tech: `Detailed technical considerations from local model:
-
-Implementation approach:
-- Modular architecture with clear separation of concerns
-- RESTful API design principles
-- Database optimization strategies
-
-Testing strategy:
-- Automated testing pipeline
-- Code coverage metrics
-- Performance benchmarking
-
-Deployment considerations:
-- Containerized deployment
-- Environment-specific configurations
-- Rollback strategies`,
-    };
-  } else {
     return {
-      title: "Local Model: Placeholder Title",
-      summary: "This is a summary generated by the local model (stub).",
-      tech: "No technical considerations from local model.",
+      ...parseCommitResponse(content, engineConfig),
+      metadata: { engine: "local", model: localConfig.model, usage },
     };
   }
+
+  const { content, usage } = await requestCompletion(localConfig, {
+    prompt: buildPrompt(diff, engineConfig),
+    temperature: engineConfig.temperature || 0.3,
+    maxTokens: isDetailed
+      ? engineConfig.maxTokens || 2000
+      : engineConfig.maxTokens || 1000,
+  });
+
+  return {
+    ...parseTaskResponse(content),
+    metadata: { engine: "local", model: localConfig.model, usage },
+  };
+}
+
+export function resolveLocalConfig(engineConfig = {}) {
+  const local = engineConfig.local || {};
+
+  const endpoint = (
+    local.endpoint ||
+    process.env.LOCAL_MODEL_ENDPOINT ||
+    DEFAULT_LOCAL_ENDPOINT
+  ).replace(/\/+$/, "");
+
+  const api = local.api || process.env.LOCAL_MODEL_API || detectApi(endpoint);
+  if (!["ollama", "openai"].includes(api)) {
+    throw new Error(
+      `Invalid local model API: ${api}. Must be "ollama" or "openai"`,
+    );
+  }
+
+  return {
+    api,
+    url: buildChatUrl(endpoint, api),
+    model: local.model || process.env.LOCAL_MODEL_NAME || DEFAULT_LOCAL_MODEL,
+    apiKey: local.apiKey || process.env.LOCAL_MODEL_API_KEY || null,
+  };
+}
+
+function detectApi(endpoint) {
+  // OpenAI-compatible servers are addressed through their /v1 prefix
+  return /\/v1(\/|$)/.test(endpoint) ? "openai" : "ollama";
+}
+
+function buildChatUrl(endpoint, api) {
+  if (api === "ollama") {
+    return endpoint.endsWith("/api/chat") ? endpoint : `${endpoint}/api/chat`;
+  }
+
+  if (endpoint.endsWith("/chat/completions")) return endpoint;
+  if (endpoint.endsWith("/v1")) return `${endpoint}/chat/completions`;
+  return `${endpoint}/v1/chat/completions`;
+}
+
+async function requestCompletion(
+  localConfig,
+  { prompt, temperature, maxTokens },
+) {
+  const { api, url, model, apiKey } = localConfig;
+  const messages = [{ role: "user", content: prompt }];
+
+  const requestBody =
+    api === "ollama"
+      ? {
+          model,
+          messages,
+          stream: false,
+          options: { temperature, num_predict: maxTokens },
+        }
+      : { model, messages, temperature, max_tokens: maxTokens };
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(requestBody),
+    });
+  } catch (error) {
+    throw new Error(
+      `Could not reach local model at ${url}: ${error.message}. Is the server running?`,
+    );
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      `Local model request failed: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  const data = await response.json();
+  const content =
+    api === "ollama"
+      ? data.message?.content
+      : data.choices?.[0]?.message?.content;
+
+  if (!content) {
+    throw new Error("Local model returned an empty response");
+  }
+
+  // Ollama reports prompt_eval_count/eval_count instead of a usage object
+  const usage =
+    api === "ollama"
+      ? data.eval_count !== undefined
+        ? {
+            prompt_eval_count: data.prompt_eval_count,
+            eval_count: data.eval_count,
+          }
+        : null
+      : data.usage || null;
+
+  return { content: content.trim(), usage };
 }
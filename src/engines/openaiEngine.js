@@ -1,228 +1,89 @@
 import OpenAI from "openai";
+import { buildPrompt } from "../prompts.js";
+import { parseTaskResponse, parseCommitResponse } from "./responseParser.js";
+import {
+  generateStructured,
+  getStrictSchema,
+  useStructuredOutput,
+} from "./structuredOutput.js";
+import { addUsage } from "../models.js";
 
 export async function callOpenAI(diff, engineConfig = {}) {
   if (!process.env.OPENAI_API_KEY) {
     throw new Error("Missing OpenAI API key. Set OPENAI_API_KEY in .env");
   }
 
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+  });
   const isDetailed = engineConfig.detailed || false;
   const isCommitMode = engineConfig.commitMode || false;
+  const mode = isCommitMode ? "commit" : "task";
 
-  // Handle commit message generation
-  if (isCommitMode) {
-    return generateCommitMessage(diff, engineConfig, openai);
-  }
-
-  // Existing task generation logic
-  const basePrompt = `Analyze this git diff and create a task description for Azure DevOps or similar tools.`;
-
-  const concisePrompt = `${basePrompt}
-Respond in exactly this format:
-
-TITLE: [Brief summary of the change]
-SUMMARY: [What was changed and why]
-TECHNICAL: [Implementation notes and considerations]
-
-Keep responses concise and focused.`;
-
-  const detailedPrompt = `${basePrompt}
-Create a comprehensive task description with detailed sections.
-
-Respond in exactly this format:
-
-TITLE: [Clear, actionable title]
-SUMMARY: [Comprehensive summary including:
-- What was changed and why
-- Key functionality added/modified
-- Business impact or user benefits
-- Requirements or acceptance criteria
-- Test coverage requirements if applicable]
-TECHNICAL: [Detailed technical considerations including:
-- Implementation approach and architecture decisions
-- Dependencies and integrations affected
-- Performance considerations
-- Security considerations if applicable
-- Testing strategy and recommendations
-- Deployment considerations
-- Potential risks and mitigation strategies
-- Code quality and best practices notes]
-
-Provide detailed, actionable information that would help a developer understand the full scope and context.`;
-
-  const prompt = isDetailed ? detailedPrompt : concisePrompt;
-
-  const chat = await openai.chat.completions.create({
+  const requestOptions = {
     model: engineConfig.model || "gpt-3.5-turbo",
-    messages: [
-      {
-        role: "user",
-        content: `${prompt}
-
-Git diff:
-\`\`\`
-${diff}
-\`\`\``,
-      },
-    ],
-    temperature: engineConfig.temperature || 0.3,
-    max_tokens: isDetailed
-      ? engineConfig.maxTokens || 2000
-      : engineConfig.maxTokens || 1000,
-  });
-
-  const content = chat.choices[0].message.content.trim();
-
-  // Enhanced parsing logic to match groqEngine
-  const result = { title: "", summary: "", tech: "" };
-  const lines = content.split("\n");
-  let currentSection = "";
-  let currentContent = [];
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    if (trimmedLine.startsWith("TITLE:")) {
-      if (currentSection && currentContent.length > 0) {
-        result[currentSection] = currentContent.join("\n").trim();
-      }
-      result.title = trimmedLine.substring(6).trim();
-      currentSection = "";
-      currentContent = [];
-    } else if (trimmedLine.startsWith("SUMMARY:")) {
-      if (currentSection && currentContent.length > 0) {
-        result[currentSection] = currentContent.join("\n").trim();
-      }
-      const summaryContent = trimmedLine.substring(8).trim();
-      currentSection = "summary";
-      currentContent = summaryContent ? [summaryContent] : [];
-    } else if (trimmedLine.startsWith("TECHNICAL:")) {
-      if (currentSection && currentContent.length > 0) {
-        result[currentSection] = currentContent.join("\n").trim();
-      }
-      const techContent = trimmedLine.substring(10).trim();
-      currentSection = "tech";
-      currentContent = techContent ? [techContent] : [];
-    } else if (currentSection && trimmedLine) {
-      currentContent.push(trimmedLine);
-    }
-  }
-
-  // Handle the last section
-  if (currentSection && currentContent.length > 0) {
-    result[currentSection] = currentContent.join("\n").trim();
-  }
+    // Lower temperature and a smaller budget for commit messages keep the
+    // formatting consistent
+    temperature: engineConfig.temperature || (isCommitMode ? 0.2 : 0.3),
+    max_tokens: isCommitMode
+      ? engineConfig.maxTokens || 300
+      : isDetailed
+        ? engineConfig.maxTokens || 2000
+        : engineConfig.maxTokens || 1000,
+  };
 
-  // Fallback: if parsing fails, try simple extraction
-  if (!result.summary && !result.tech) {
-    const titleMatch = content.match(/TITLE:\s*(.+)/);
-    const summaryMatch = content.match(/SUMMARY:\s*([\s\S]*?)(?=TECHNICAL:|$)/);
-    const techMatch = content.match(/TECHNICAL:\s*([\s\S]*?)$/);
+  const responseFormat = getResponseFormat(requestOptions.model, mode);
+
+  // Token usage is summed over every request, including schema re-asks
+  let usage = null;
+  const complete = async (body) => {
+    const chat = await openai.chat.completions.create({
+      ...requestOptions,
+      ...body,
+    });
+    usage = addUsage(usage, chat.usage);
+    return chat.choices[0].message.content.trim();
+  };
 
-    if (titleMatch) result.title = titleMatch[1].trim();
-    if (summaryMatch) result.summary = summaryMatch[1].trim();
-    if (techMatch) result.tech = techMatch[1].trim();
+  let result;
+
+  if (responseFormat && useStructuredOutput(engineConfig)) {
+    result = await generateStructured(
+      mode,
+      buildPrompt(diff, { ...engineConfig, jsonMode: true }),
+      (messages) => complete({ messages, response_format: responseFormat }),
+      engineConfig,
+    );
+  } else {
+    const content = await complete({
+      messages: [{ role: "user", content: buildPrompt(diff, engineConfig) }],
+    });
+
+    result = isCommitMode
+      ? parseCommitResponse(content, engineConfig)
+      : parseTaskResponse(content);
   }
 
-  return result;
-}
-
-// Commit message generation function
-async function generateCommitMessage(diff, engineConfig, openai) {
-  const { type, scope, breaking } = engineConfig;
-
-  const typePrompt = type
-    ? `Use the commit type "${type}".`
-    : "Determine the most appropriate commit type from: feat, fix, docs, style, refactor, perf, test, chore, ci, build.";
-
-  const scopePrompt = scope
-    ? `Use the scope "${scope}".`
-    : "Determine an appropriate scope if relevant (e.g., api, ui, auth, db). Leave empty if not applicable.";
-
-  const breakingPrompt = breaking
-    ? "This is a BREAKING CHANGE that affects existing functionality."
-    : "Determine if this is a breaking change based on the diff.";
-
-  const prompt = `Generate a conventional commit message for this git diff.
-
-${typePrompt}
-${scopePrompt}
-${breakingPrompt}
-
-Guidelines:
-- Description should be in imperative mood (e.g., "add" not "added" or "adds")
-- Keep description under 50 characters if possible
-- Description should be lowercase
-- Body should explain what and why, not how
-- Follow conventional commit format: type(scope): description
-
-Respond in exactly this format:
-TYPE: [commit type]
-SCOPE: [scope or leave empty if none]
-DESCRIPTION: [clear, concise description in imperative mood]
-BODY: [optional longer explanation - leave empty if not needed]
-BREAKING: [breaking change description if applicable, otherwise leave empty]
-
-Git diff:
-\`\`\`
-${diff}
-\`\`\``;
-
-  const chat = await openai.chat.completions.create({
-    model: engineConfig.model || "gpt-3.5-turbo",
-    messages: [{ role: "user", content: prompt }],
-    temperature: engineConfig.temperature || 0.2, // Lower temperature for more consistent formatting
-    max_tokens: engineConfig.maxTokens || 300,
-  });
-
-  const content = chat.choices[0].message.content.trim();
-
-  // Parse commit message response
-  const result = {
-    type: type || "feat",
-    scope: scope || "",
-    description: "",
-    body: "",
-    breaking: breaking || false,
-    breakingDescription: "",
+  return {
+    ...result,
+    metadata: { engine: "openai", model: requestOptions.model, usage },
   };
+}
 
-  const lines = content.split("\n");
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    if (trimmedLine.startsWith("TYPE:")) {
-      const extractedType = trimmedLine.substring(5).trim().toLowerCase();
-      result.type = extractedType || result.type;
-    } else if (trimmedLine.startsWith("SCOPE:")) {
-      const extractedScope = trimmedLine.substring(6).trim();
-      result.scope =
-        extractedScope === "empty" || extractedScope === "none"
-          ? ""
-          : extractedScope;
-    } else if (trimmedLine.startsWith("DESCRIPTION:")) {
-      result.description = trimmedLine.substring(12).trim();
-    } else if (trimmedLine.startsWith("BODY:")) {
-      const bodyContent = trimmedLine.substring(5).trim();
-      result.body =
-        bodyContent === "empty" || bodyContent === "none" ? "" : bodyContent;
-    } else if (trimmedLine.startsWith("BREAKING:")) {
-      const breakingContent = trimmedLine.substring(9).trim();
-      if (
-        breakingContent &&
-        breakingContent !== "empty" &&
-        breakingContent !== "none"
-      ) {
-        result.breakingDescription = breakingContent;
-        result.breaking = true;
-      }
-    }
+// Structured Outputs (json_schema) is available from gpt-4o onwards, older
+// chat models only offer JSON mode and the original gpt-4 neither
+function getResponseFormat(model, mode) {
+  if (/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model)) {
+    return {
+      type: "json_schema",
+      json_schema: { name: mode, strict: true, schema: getStrictSchema(mode) },
+    };
   }
 
-  // Validate required fields
-  if (!result.description) {
-    throw new Error("Failed to generate commit description");
+  if (model === "gpt-4") {
+    return null;
   }
 
-  return result;
+  return { type: "json_object" };
 }
@@ -0,0 +1,250 @@
+// src/engines/registry.js
+import { existsSync } from "fs";
+import { createRequire } from "module";
+import { join, resolve } from "path";
+import { pathToFileURL } from "url";
+import { callOpenAI } from "./openaiEngine.js";
+import { callGroq } from "./groqEngine.js";
+import { callHuggingFace } from "./huggingFaceEngine.js";
+import { callLocalModel } from "./localModelEngine.js";
+import { callFreeTier } from "./freeTierEngine.js";
+
+const DEFAULT_CAPABILITIES = {
+  commitMode: false,
+};
+
+const engines = new Map();
+const loadedPlugins = new Set();
+
+// Engine definition:
+//   name          identifier used with --engine
+//   label, icon   shown while auto mode tries the engine
+//   description   one-line help text
+//   apiKey        provider name looked up with getApiKey(), null if keyless
+//   defaultModel  model used when the configured one isn't supported
+//   models        models the engine accepts as-is
+//   modelMap      other engines' models mapped to an equivalent of its own
+//   capabilities  { commitMode }
+//   auto          whether auto mode may try it, in ascending priority order
+//   call          async (diff, engineConfig) => task or commit data
+export function registerEngine(definition) {
+  if (!definition || typeof definition.name !== "string" || !definition.name) {
+    throw new Error("Engine definition must have a name");
+  }
+
+  if (definition.name === "auto") {
+    throw new Error('"auto" is reserved and cannot be registered as an engine');
+  }
+
+  if (typeof definition.call !== "function") {
+    throw new Error(
+      `Engine "${definition.name}" must provide a call(diff, config) function`,
+    );
+  }
+
+  const engine = {
+    label: definition.name,
+    icon: "🔌",
+    description: "",
+    apiKey: null,
+    defaultModel: null,
+    models: [],
+    modelMap: {},
+    auto: false,
+    priority: 100,
+    ...definition,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities },
+  };
+
+  engines.set(engine.name, engine);
+  return engine;
+}
+
+export function getEngine(name) {
+  return engines.get(name) || null;
+}
+
+export function listEngines() {
+  return [...engines.values()];
+}
+
+export function getEngineNames() {
+  return [...engines.keys()];
+}
+
+// Engines auto mode may try, in the order it tries them
+export function getAutoEngines() {
+  return listEngines()
+    .filter((engine) => engine.auto)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// "  groq        Use Groq API ..." lines for --help output
+export function formatEngineHelp(indent = "  ") {
+  const autoOrder = getAutoEngines()
+    .map((engine) => engine.name)
+    .join(" → ");
+  const rows = [
+    ["auto", `Tries available engines in order: ${autoOrder}`],
+    ...listEngines().map((engine) => [engine.name, engine.description]),
+  ];
+  const width = Math.max(...rows.map(([name]) => name.length)) + 2;
+
+  return rows
+    .map(
+      ([name, description]) => `${indent}${name.padEnd(width)}${description}`,
+    )
+    .join("\n");
+}
+
+// Load third-party engines listed under "plugins" in .taskfoundry.json.
+// Each entry is an npm package name or a path relative to the project; the
+// module's default export (or named "engines" export) is an engine
+// definition or an array of them.
+export async function loadEnginePlugins(plugins = [], baseDir = process.cwd()) {
+  for (const specifier of plugins || []) {
+    if (loadedPlugins.has(specifier)) continue;
+
+    let module;
+    try {
+      module = await import(resolvePluginUrl(specifier, baseDir));
+    } catch (error) {
+      throw new Error(
+        `Failed to load engine plugin "${specifier}": ${error.message}`,
+      );
+    }
+
+    const exported = module.engines || module.default;
+    const definitions = Array.isArray(exported) ? exported : [exported];
+
+    for (const definition of definitions) {
+      registerEngine(definition);
+    }
+
+    loadedPlugins.add(specifier);
+  }
+
+  return listEngines();
+}
+
+function resolvePluginUrl(specifier, baseDir) {
+  if (specifier.startsWith(".") || specifier.startsWith("/")) {
+    return pathToFileURL(resolve(baseDir, specifier)).href;
+  }
+
+  // Prefer the project's own node_modules over taskfoundry's install location
+  const projectPackage = join(baseDir, "package.json");
+  if (existsSync(projectPackage)) {
+    try {
+      return pathToFileURL(createRequire(projectPackage).resolve(specifier))
+        .href;
+    } catch {
+      // Fall through to a plain import
+    }
+  }
+
+  return specifier;
+}
+
+// Built-in engines
+registerEngine({
+  name: "groq",
+  label: "Groq API",
+  icon: "🚀",
+  description: "Use Groq API only (configure with: create-task setup)",
+  apiKey: "groq",
+  defaultModel: "llama-3.3-70b-versatile",
+  models: [
+    "llama-3.3-70b-versatile",
+    "llama-3.1-70b-versatile",
+    "llama-3.1-8b-instant",
+    "mixtral-8x7b-32768",
+  ],
+  modelMap: {
+    "gpt-4o": "llama-3.3-70b-versatile",
+    "gpt-4o-mini": "llama-3.3-70b-versatile",
+    "gpt-4": "llama-3.3-70b-versatile",
+    "gpt-3.5-turbo": "llama-3.1-8b-instant",
+  },
+  capabilities: { commitMode: true },
+  auto: true,
+  priority: 10,
+  call: callGroq,
+});
+
+registerEngine({
+  name: "openai",
+  label: "OpenAI API",
+  icon: "🤖",
+  description: "Use OpenAI API only (configure with: create-task setup)",
+  apiKey: "openai",
+  defaultModel: "gpt-4o-mini",
+  models: ["gpt-4o", "gpt-4o-mini", "gpt-4", "gpt-3.5-turbo"],
+  modelMap: {
+    "llama-3.3-70b-versatile": "gpt-4o-mini",
+    "llama-3.1-70b-versatile": "gpt-4o-mini",
+    "mixtral-8x7b-32768": "gpt-4o-mini",
+  },
+  capabilities: { commitMode: true },
+  auto: true,
+  priority: 20,
+  call: callOpenAI,
+});
+
+registerEngine({
+  name: "huggingface",
+  label: "Hugging Face API",
+  icon: "🤗",
+  description: "Use Hugging Face API only (configure with: create-task setup)",
+  apiKey: "huggingface",
+  defaultModel: "meta-llama/Llama-3.1-70B-Instruct",
+  models: [
+    "meta-llama/Llama-3.1-70B-Instruct",
+    "meta-llama/Llama-3.1-8B-Instruct",
+    "mistralai/Mixtral-8x7B-Instruct-v0.1",
+  ],
+  modelMap: {
+    "llama-3.3-70b-versatile": "meta-llama/Llama-3.1-70B-Instruct",
+    "llama-3.1-70b-versatile": "meta-llama/Llama-3.1-70B-Instruct",
+    "mixtral-8x7b-32768": "mistralai/Mixtral-8x7B-Instruct-v0.1",
+    "gpt-4o": "meta-llama/Llama-3.1-70B-Instruct",
+    "gpt-4o-mini": "meta-llama/Llama-3.1-70B-Instruct",
+    "gpt-4": "meta-llama/Llama-3.1-70B-Instruct",
+    "gpt-3.5-turbo": "meta-llama/Llama-3.1-8B-Instruct",
+  },
+  capabilities: { commitMode: true },
+  auto: true,
+  priority: 30,
+  call: callHuggingFace,
+});
+
+registerEngine({
+  name: "freetier",
+  label: "free tier",
+  icon: "🆓",
+  description: "Use free tier only (no setup required, 50 requests/day)",
+  defaultModel: "llama-3.3-70b-versatile",
+  models: ["llama-3.3-70b-versatile"],
+  modelMap: {
+    "llama-3.1-70b-versatile": "llama-3.3-70b-versatile",
+    "mixtral-8x7b-32768": "llama-3.3-70b-versatile",
+    "gpt-4o": "llama-3.3-70b-versatile",
+    "gpt-4o-mini": "llama-3.3-70b-versatile",
+    "gpt-4": "llama-3.3-70b-versatile",
+    "gpt-3.5-turbo": "llama-3.3-70b-versatile",
+  },
+  capabilities: { commitMode: true },
+  auto: true,
+  priority: 1000,
+  call: callFreeTier,
+});
+
+registerEngine({
+  name: "local",
+  label: "local model",
+  icon: "🏠",
+  description:
+    "Use a local Ollama or OpenAI-compatible server (no API key required)",
+  capabilities: { commitMode: true },
+  call: callLocalModel,
+});
@@ -0,0 +1,108 @@
+// Parsers for the line-prefixed TITLE:/SUMMARY:/TECHNICAL: and TYPE:/SCOPE:/...
+// formats requested by the built-in templates in src/prompts.js
+
+export function parseTaskResponse(content) {
+  const result = { title: "", summary: "", tech: "" };
+  const lines = content.split("\n");
+  let currentSection = "";
+  let currentContent = [];
+
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+
+    if (trimmedLine.startsWith("TITLE:")) {
+      if (currentSection && currentContent.length > 0) {
+        result[currentSection] = currentContent.join("\n").trim();
+      }
+      result.title = trimmedLine.substring(6).trim();
+      currentSection = "";
+      currentContent = [];
+    } else if (trimmedLine.startsWith("SUMMARY:")) {
+      if (currentSection && currentContent.length > 0) {
+        result[currentSection] = currentContent.join("\n").trim();
+      }
+      const summaryContent = trimmedLine.substring(8).trim();
+      currentSection = "summary";
+      currentContent = summaryContent ? [summaryContent] : [];
+    } else if (trimmedLine.startsWith("TECHNICAL:")) {
+      if (currentSection && currentContent.length > 0) {
+        result[currentSection] = currentContent.join("\n").trim();
+      }
+      const techContent = trimmedLine.substring(10).trim();
+      currentSection = "tech";
+      currentContent = techContent ? [techContent] : [];
+    } else if (currentSection && trimmedLine) {
+      currentContent.push(trimmedLine);
+    }
+  }
+
+  // Handle the last section
+  if (currentSection && currentContent.length > 0) {
+    result[currentSection] = currentContent.join("\n").trim();
+  }
+
+  // Fallback: if parsing fails, try simple extraction
+  if (!result.summary && !result.tech) {
+    const titleMatch = content.match(/TITLE:\s*(.+)/);
+    const summaryMatch = content.match(/SUMMARY:\s*([\s\S]*?)(?=TECHNICAL:|$)/);
+    const techMatch = content.match(/TECHNICAL:\s*([\s\S]*?)$/);
+
+    if (titleMatch) result.title = titleMatch[1].trim();
+    if (summaryMatch) result.summary = summaryMatch[1].trim();
+    if (techMatch) result.tech = techMatch[1].trim();
+  }
+
+  return result;
+}
+
+export function parseCommitResponse(content, engineConfig = {}) {
+  const { type, scope, breaking } = engineConfig;
+
+  const result = {
+    type: type || "feat",
+    scope: scope || "",
+    description: "",
+    body: "",
+    breaking: breaking || false,
+    breakingDescription: "",
+  };
+
+  const lines = content.split("\n");
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+
+    if (trimmedLine.startsWith("TYPE:")) {
+      const extractedType = trimmedLine.substring(5).trim().toLowerCase();
+      result.type = extractedType || result.type;
+    } else if (trimmedLine.startsWith("SCOPE:")) {
+      const extractedScope = trimmedLine.substring(6).trim();
+      result.scope =
+        extractedScope === "empty" || extractedScope === "none"
+          ? ""
+          : extractedScope;
+    } else if (trimmedLine.startsWith("DESCRIPTION:")) {
+      result.description = trimmedLine.substring(12).trim();
+    } else if (trimmedLine.startsWith("BODY:")) {
+      const bodyContent = trimmedLine.substring(5).trim();
+      result.body =
+        bodyContent === "empty" || bodyContent === "none" ? "" : bodyContent;
+    } else if (trimmedLine.startsWith("BREAKING:")) {
+      const breakingContent = trimmedLine.substring(9).trim();
+      if (
+        breakingContent &&
+        breakingContent !== "empty" &&
+        breakingContent !== "none"
+      ) {
+        result.breakingDescription = breakingContent;
+        result.breaking = true;
+      }
+    }
+  }
+
+  // Validate required fields
+  if (!result.description) {
+    throw new Error("Failed to generate commit description");
+  }
+
+  return result;
+}
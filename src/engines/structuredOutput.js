@@ -0,0 +1,193 @@
+// JSON-schema constrained responses for engines whose providers support a
+// JSON mode; everything else keeps using the text parsers in responseParser.js
+import { COMMIT_TYPES } from "../models.js";
+
+export const TASK_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    summary: { type: "string", minLength: 1 },
+    technical: { type: "string" },
+  },
+  required: ["title", "summary", "technical"],
+  additionalProperties: false,
+};
+
+export const COMMIT_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: Object.keys(COMMIT_TYPES) },
+    scope: { type: "string" },
+    description: { type: "string", minLength: 1 },
+    body: { type: "string" },
+    breaking: { type: "boolean" },
+    breakingDescription: { type: "string" },
+  },
+  required: [
+    "type",
+    "scope",
+    "description",
+    "body",
+    "breaking",
+    "breakingDescription",
+  ],
+  additionalProperties: false,
+};
+
+export function getOutputSchema(mode) {
+  return mode === "commit" ? COMMIT_SCHEMA : TASK_SCHEMA;
+}
+
+// OpenAI's strict mode rejects validation keywords such as minLength, so the
+// schema sent to the provider only describes the shape
+export function getStrictSchema(mode) {
+  return JSON.parse(
+    JSON.stringify(getOutputSchema(mode), (key, value) =>
+      key === "minLength" ? undefined : value,
+    ),
+  );
+}
+
+// Whether an engine should ask for JSON; structuredOutput: false in the
+// config forces the line-prefixed text format everywhere
+export function useStructuredOutput(engineConfig = {}) {
+  return engineConfig.structuredOutput !== false;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Minimal JSON Schema validator covering the keywords our schemas use
+export function validateSchema(value, schema, path = "response") {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path} must be of type ${types.join(" or ")}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (
+    typeof value === "string" &&
+    schema.minLength &&
+    value.trim().length < schema.minLength
+  ) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (matchesType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(
+          ...validateSchema(propertyValue, propertySchema, `${path}.${key}`),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function parseStructuredResponse(content, mode) {
+  // Models sometimes wrap JSON in a markdown code fence despite JSON mode
+  const json = content
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return {
+      data: null,
+      errors: [`response is not valid JSON: ${error.message}`],
+    };
+  }
+
+  return { data, errors: validateSchema(data, getOutputSchema(mode)) };
+}
+
+// --type and --breaking from the engine config win over the model, as they
+// do in parseCommitResponse
+function toResult(data, mode, engineConfig) {
+  if (mode === "commit") {
+    return {
+      type: engineConfig.type || data.type,
+      scope: data.scope.trim(),
+      description: data.description.trim(),
+      body: data.body.trim(),
+      breaking: data.breaking || Boolean(engineConfig.breaking),
+      breakingDescription: data.breakingDescription.trim(),
+    };
+  }
+
+  return {
+    title: data.title.trim(),
+    summary: data.summary.trim(),
+    tech: data.technical.trim(),
+  };
+}
+
+// Ask for JSON through complete(messages) => content, validate it against
+// the task or commit schema and re-ask once with the validation errors
+export async function generateStructured(
+  mode,
+  prompt,
+  complete,
+  engineConfig = {},
+) {
+  const messages = [{ role: "user", content: prompt }];
+
+  const firstContent = await complete(messages);
+  const firstAttempt = parseStructuredResponse(firstContent, mode);
+  if (firstAttempt.errors.length === 0) {
+    return toResult(firstAttempt.data, mode, engineConfig);
+  }
+
+  messages.push(
+    { role: "assistant", content: firstContent },
+    {
+      role: "user",
+      content: `Your response did not match the required JSON schema:
+- ${firstAttempt.errors.join("\n- ")}
+
+Reply again with only the corrected JSON object.`,
+    },
+  );
+
+  const secondAttempt = parseStructuredResponse(await complete(messages), mode);
+  if (secondAttempt.errors.length === 0) {
+    return toResult(secondAttempt.data, mode, engineConfig);
+  }
+
+  throw new Error(
+    `Engine returned an invalid ${mode} response: ${secondAttempt.errors.join("; ")}`,
+  );
+}
@@ -1,15 +1,241 @@
+import { renderCommitMessage } from "./models.js";
+import { markdownToAdf, markdownToHtml } from "./utils/markdown.js";
+
+// Azure DevOps rejects work item titles longer than this
+const AZURE_DEVOPS_TITLE_LIMIT = 255;
+
+// Jira's summary field is limited to this many characters
+const JIRA_SUMMARY_LIMIT = 255;
+
+// GitHub issue labels implied by the changed files
+const FILE_LABELS = [
+  ["documentation", /(^|\/)docs?\/|\.(md|mdx|rst|adoc)$/i],
+  ["tests", /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$/i],
+  [
+    "dependencies",
+    /(^|\/)(package\.json|package-lock\.json|pnpm-lock\.yaml|yarn\.lock|requirements\.txt|go\.(mod|sum)|Cargo\.(toml|lock))$/,
+  ],
+  [
+    "ci",
+    /^\.github\/workflows\/|(^|\/)(\.gitlab-ci\.yml|azure-pipelines\.yml)$/,
+  ],
+];
+
 export function formatMarkdown({ title, summary, tech }) {
   return `**Title**: ${title}\n\n**Summary**: ${summary}\n\n**Technical considerations**: ${tech}`;
 }
 
-export function formatJSON({ title, summary, tech }) {
-  return JSON.stringify(
-    {
-      title,
-      summary,
-      technical_considerations: tech,
-    },
-    null,
-    2,
-  );
+export function toTaskJSON({ title, summary, tech, metadata, pushed }) {
+  return {
+    title,
+    summary,
+    technical_considerations: tech,
+    ...(metadata && { metadata }),
+    ...(pushed && { pushed }),
+  };
+}
+
+export function formatJSON(task) {
+  return JSON.stringify(toTaskJSON(task), null, 2);
+}
+
+export function toCommitJSON(commit) {
+  return {
+    message: renderCommitMessage(commit),
+    type: commit.type,
+    scope: commit.scope,
+    description: commit.description,
+    body: commit.body,
+    breaking: commit.breaking,
+    breakingDescription: commit.breakingDescription,
+    ...(commit.metadata && { metadata: commit.metadata }),
+    ...(commit.candidates && { candidates: commit.candidates }),
+  };
+}
+
+export function formatCommitJSON(commit) {
+  return JSON.stringify(toCommitJSON(commit), null, 2);
+}
+
+// Engines put acceptance criteria in the summary or technical notes as a
+// list below an "Acceptance criteria" line (or inline after its colon)
+export function extractAcceptanceCriteria(text = "") {
+  const lines = text.split("\n");
+  const start = lines.findIndex((line) => /acceptance criteria/i.test(line));
+  if (start === -1) return "";
+
+  const items = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*([-*•]|\d+[.)])\s+/.test(line)) {
+      items.push(line.trim());
+    } else if (line.trim()) {
+      break;
+    }
+  }
+
+  if (items.length > 0) return items.join("\n");
+
+  return lines[start].replace(/^.*acceptance criteria[*_]*:?[*_]*/i, "").trim();
+}
+
+// JSON-Patch document for the Azure DevOps Work Items API. settings may
+// carry tags, areaPath and iterationPath.
+export function toAzureDevOpsPatch(task, settings = {}) {
+  const { title, summary, tech } = task;
+  const field = (name, value) => ({
+    op: "add",
+    path: `/fields/${name}`,
+    value,
+  });
+
+  const description = tech
+    ? `${markdownToHtml(summary)}<h3>Technical considerations</h3>${markdownToHtml(tech)}`
+    : markdownToHtml(summary);
+
+  const patch = [
+    field("System.Title", title.slice(0, AZURE_DEVOPS_TITLE_LIMIT)),
+    field("System.Description", description),
+  ];
+
+  const criteria = extractAcceptanceCriteria(`${summary}\n${tech || ""}`);
+  if (criteria) {
+    patch.push(
+      field(
+        "Microsoft.VSTS.Common.AcceptanceCriteria",
+        markdownToHtml(criteria),
+      ),
+    );
+  }
+
+  if (settings.tags?.length > 0) {
+    patch.push(field("System.Tags", settings.tags.join("; ")));
+  }
+  if (settings.areaPath) {
+    patch.push(field("System.AreaPath", settings.areaPath));
+  }
+  if (settings.iterationPath) {
+    patch.push(field("System.IterationPath", settings.iterationPath));
+  }
+
+  return patch;
+}
+
+export function formatAzureDevOps(task, settings) {
+  return JSON.stringify(toAzureDevOpsPatch(task, settings), null, 2);
+}
+
+// Labels for a GitHub issue: the configured ones plus those implied by the
+// changed files and the wording of the title. Documentation-only changes are
+// labelled as such rather than as a bug or enhancement.
+export function deriveLabels(task, files = []) {
+  const labels = FILE_LABELS.filter(([, pattern]) =>
+    files.some((file) => pattern.test(file)),
+  ).map(([label]) => label);
+
+  const docsOnly =
+    files.length > 0 && files.every((file) => FILE_LABELS[0][1].test(file));
+
+  if (!docsOnly) {
+    if (/\b(fix(es|ed)?|bug|crash(es)?|regression)\b/i.test(task.title)) {
+      labels.push("bug");
+    } else if (
+      /\b(add(s|ed)?|implement(s|ed)?|introduce(s|d)?|support|new)\b/i.test(
+        task.title,
+      )
+    ) {
+      labels.push("enhancement");
+    }
+  }
+
+  return labels;
+}
+
+// Markdown issue body with "Summary" and "Technical considerations" sections
+export function toIssueBody({ summary, tech }) {
+  const sections = [`## Summary\n\n${summary}`];
+  if (tech) {
+    sections.push(`## Technical considerations\n\n${tech}`);
+  }
+
+  return sections.join("\n\n");
+}
+
+function collectLabels(task, settings) {
+  return [
+    ...new Set([
+      ...(settings.labels || []),
+      ...deriveLabels(task, settings.files),
+    ]),
+  ];
+}
+
+// Payload for the GitHub "create an issue" API. settings may carry labels
+// and the changed files to derive more labels from.
+export function toGitHubIssue(task, settings = {}) {
+  const labels = collectLabels(task, settings);
+
+  return {
+    title: task.title,
+    body: toIssueBody(task),
+    ...(labels.length > 0 && { labels }),
+  };
+}
+
+export function formatGitHubIssue(task, settings) {
+  return JSON.stringify(toGitHubIssue(task, settings), null, 2);
+}
+
+// Payload for the GitLab "new issue" API, which takes labels as a
+// comma-separated string
+export function toGitLabIssue(task, settings = {}) {
+  const labels = collectLabels(task, settings);
+
+  return {
+    title: task.title,
+    description: toIssueBody(task),
+    ...(labels.length > 0 && { labels: labels.join(",") }),
+  };
+}
+
+export function formatGitLabIssue(task, settings) {
+  return JSON.stringify(toGitLabIssue(task, settings), null, 2);
+}
+
+// Body of a Jira REST v3 "create issue" request; the description is an
+// Atlassian Document Format document. settings carry projectKey, issueType,
+// components and labels.
+export function toJiraIssue(task, settings = {}) {
+  const { title, summary, tech } = task;
+  const content = markdownToAdf(summary);
+  if (tech) {
+    content.push(
+      {
+        type: "heading",
+        attrs: { level: 3 },
+        content: [{ type: "text", text: "Technical considerations" }],
+      },
+      ...markdownToAdf(tech),
+    );
+  }
+
+  const fields = {
+    project: { key: settings.projectKey },
+    issuetype: { name: settings.issueType || "Task" },
+    summary: title.slice(0, JIRA_SUMMARY_LIMIT),
+    description: { type: "doc", version: 1, content },
+  };
+
+  if (settings.components?.length > 0) {
+    fields.components = settings.components.map((name) => ({ name }));
+  }
+  if (settings.labels?.length > 0) {
+    // Jira labels can't contain spaces
+    fields.labels = settings.labels.map((label) => label.replace(/\s+/g, "-"));
+  }
+
+  return { fields };
+}
+
+export function formatJira(task, settings) {
+  return JSON.stringify(toJiraIssue(task, settings), null, 2);
 }
@@ -0,0 +1,159 @@
+// src/hooks.js
+import { execSync } from "child_process";
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { generateCommitMessage } from "./createCommit.js";
+
+// Written into every hook we install, so we never touch someone else's
+const HOOK_MARKER = "# Installed by taskfoundry";
+
+export const HOOKS = {
+  "prepare-commit-msg": "Pre-fills the commit message from the staged changes",
+  "commit-msg":
+    "Rejects commit messages that break the conventional commit rules",
+};
+
+const DEFAULT_HOOK_TIMEOUT = 20;
+
+const CLI_PATH = fileURLToPath(
+  new URL("../bin/create-commit.js", import.meta.url),
+);
+
+function git(command) {
+  return execSync(`git ${command}`, {
+    encoding: "utf-8",
+    stdio: "pipe",
+  }).trim();
+}
+
+function shellQuote(str) {
+  return `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+// The hooks directory git runs hooks from: core.hooksPath when it is set,
+// .git/hooks otherwise
+export function getHooksDir() {
+  try {
+    return resolve(git("rev-parse --git-path hooks"));
+  } catch {
+    throw new Error("Not a git repository");
+  }
+}
+
+// Hooks run the node binary and script that installed them, so they work
+// without the CLI on PATH (GUI clients). prepare-commit-msg hands its
+// arguments to `create-commit hook run` and exits 0 whatever happens;
+// commit-msg runs `create-commit lint`, whose exit status decides the commit.
+export function renderHookScript(name, { fix } = {}) {
+  const command =
+    name === "commit-msg"
+      ? `exec "$node" "$cli" lint "$1"${fix ? " --fix" : ""}`
+      : `"$node" "$cli" hook run ${name} "$@" < /dev/null || true
+exit 0`;
+
+  return `#!/bin/sh
+${HOOK_MARKER}: ${HOOKS[name]}.
+# Remove with \`create-commit hook uninstall ${name}\`.
+node=${shellQuote(process.execPath)}
+cli=${shellQuote(CLI_PATH)}
+[ -x "$node" ] && [ -f "$cli" ] || exit 0
+${command}
+`;
+}
+
+function checkHookName(name) {
+  if (!HOOKS[name]) {
+    throw new Error(
+      `Unknown hook: ${name}. Must be one of: ${Object.keys(HOOKS).join(", ")}`,
+    );
+  }
+}
+
+export function installHook(name = "prepare-commit-msg", options = {}) {
+  checkHookName(name);
+
+  const dir = getHooksDir();
+  const path = join(dir, name);
+
+  if (
+    existsSync(path) &&
+    !readFileSync(path, "utf-8").includes(HOOK_MARKER) &&
+    !options.force
+  ) {
+    throw new Error(
+      `${path} already exists and was not installed by taskfoundry; pass --force to replace it`,
+    );
+  }
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path, renderHookScript(name, options));
+  chmodSync(path, 0o755);
+
+  return path;
+}
+
+// Returns the removed hook's path, or null when there was none of ours
+export function uninstallHook(name = "prepare-commit-msg") {
+  checkHookName(name);
+  const path = join(getHooksDir(), name);
+
+  if (!existsSync(path)) return null;
+  if (!readFileSync(path, "utf-8").includes(HOOK_MARKER)) {
+    throw new Error(
+      `${path} was not installed by taskfoundry; remove it by hand`,
+    );
+  }
+
+  rmSync(path);
+  return path;
+}
+
+function isRebasing() {
+  return ["rebase-merge", "rebase-apply"].some((dir) =>
+    existsSync(git(`rev-parse --git-path ${dir}`)),
+  );
+}
+
+// prepare-commit-msg gets the message file and, when the message comes from
+// somewhere else, its source: message (-m/-F), template (-t), merge, squash
+// or commit (--amend, -c, -C). Only plain `git commit` gets a message.
+export function shouldPrefill(source) {
+  return !source && !isRebasing();
+}
+
+function withTimeout(promise, seconds) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${seconds}s`)),
+      seconds * 1000,
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Entry point of the installed hook. Failures are reported but never thrown:
+// the commit goes ahead with git's usual empty message.
+export async function runPrepareCommitMsg(messageFile, source, config = {}) {
+  if (!shouldPrefill(source)) return;
+
+  try {
+    await withTimeout(
+      generateCommitMessage({ ...config, messageFile }),
+      config.hook?.timeout ?? DEFAULT_HOOK_TIMEOUT,
+    );
+  } catch (error) {
+    console.error(
+      `⚠️  taskfoundry could not pre-fill the commit message: ${error.message}`,
+    );
+  }
+}
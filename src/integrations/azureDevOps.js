@@ -0,0 +1,93 @@
+// src/integrations/azureDevOps.js
+import fetch from "node-fetch";
+import { getToken } from "../config/systemConfig.js";
+import { toAzureDevOpsPatch } from "../formatters.js";
+
+const DEFAULT_BASE_URL = "https://dev.azure.com";
+const API_VERSION = "7.1";
+
+// Settings come from "azureDevOps" in .taskfoundry.json, with environment
+// variables as fallback. The PAT is stored with
+// `create-task setup --integration azure-devops` or read from
+// AZURE_DEVOPS_PAT.
+export function getAzureDevOpsSettings(config = {}) {
+  const settings = config.azureDevOps || {};
+
+  return {
+    organization: settings.organization || process.env.AZURE_DEVOPS_ORG || null,
+    project: settings.project || process.env.AZURE_DEVOPS_PROJECT || null,
+    pat: getToken("azure-devops", "AZURE_DEVOPS_PAT") || null,
+    baseUrl: (
+      settings.baseUrl ||
+      process.env.AZURE_DEVOPS_BASE_URL ||
+      DEFAULT_BASE_URL
+    ).replace(/\/+$/, ""),
+    workItemType: settings.workItemType || "Task",
+    tags: settings.tags || ["taskfoundry"],
+    areaPath: settings.areaPath || null,
+    iterationPath: settings.iterationPath || null,
+  };
+}
+
+// Create a work item from a task; returns { id, url }
+export async function createWorkItem(task, config = {}) {
+  const settings = getAzureDevOpsSettings(config);
+
+  const missing = [
+    ["organization", "azureDevOps.organization (or AZURE_DEVOPS_ORG)"],
+    ["project", "azureDevOps.project (or AZURE_DEVOPS_PROJECT)"],
+    [
+      "pat",
+      "a personal access token ('create-task setup --integration azure-devops' or AZURE_DEVOPS_PAT)",
+    ],
+  ].filter(([key]) => !settings[key]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing Azure DevOps settings: ${missing.map(([, name]) => name).join(", ")}`,
+    );
+  }
+
+  const { organization, project, workItemType, baseUrl, pat } = settings;
+  const url = `${baseUrl}/${encodeURIComponent(organization)}/${encodeURIComponent(project)}/_apis/wit/workitems/$${encodeURIComponent(workItemType)}?api-version=${API_VERSION}`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json-patch+json",
+        Accept: "application/json",
+        Authorization: `Basic ${Buffer.from(`:${pat}`).toString("base64")}`,
+      },
+      body: JSON.stringify(toAzureDevOpsPatch(task, settings)),
+    });
+  } catch (error) {
+    throw new Error(
+      `Could not reach Azure DevOps at ${baseUrl}: ${error.message}`,
+    );
+  }
+
+  // An invalid PAT gets a 203 with the HTML sign-in page instead of a 401
+  if (response.status === 203 || response.status === 401) {
+    throw new Error(
+      "Azure DevOps rejected the personal access token (it needs Work Items read & write scope)",
+    );
+  }
+
+  if (!response.ok) {
+    const details = await response.text();
+    throw new Error(
+      `Azure DevOps request failed: ${response.status} ${response.statusText}${details ? ` - ${details.slice(0, 300)}` : ""}`,
+    );
+  }
+
+  const workItem = await response.json();
+
+  return {
+    id: workItem.id,
+    url:
+      workItem._links?.html?.href ||
+      `${baseUrl}/${encodeURIComponent(organization)}/${encodeURIComponent(project)}/_workitems/edit/${workItem.id}`,
+  };
+}
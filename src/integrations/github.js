@@ -0,0 +1,143 @@
+// src/integrations/github.js
+import fetch from "node-fetch";
+import { getToken } from "../config/systemConfig.js";
+import { toGitHubIssue } from "../formatters.js";
+import { getRemoteUrl } from "../utils/git.js";
+
+const DEFAULT_API_URL = "https://api.github.com";
+const API_VERSION = "2022-11-28";
+
+// "owner/name" from an https or ssh remote URL
+export function parseGitHubRepository(url = "") {
+  const match = url.trim().match(/[:/]([^/:]+)\/([^/]+?)(\.git)?\/?$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+// Settings come from "github" in .taskfoundry.json. The token is stored with
+// `create-task setup --integration github` or read from GITHUB_TOKEN; the
+// repository defaults to the origin remote. apiUrl points at GitHub
+// Enterprise (https://host/api/v3) or any compatible server.
+export function getGitHubSettings(config = {}) {
+  const settings = config.github || {};
+
+  return {
+    repository:
+      settings.repository ||
+      process.env.GITHUB_REPOSITORY ||
+      parseGitHubRepository(getRemoteUrl()),
+    token: getToken("github", "GITHUB_TOKEN") || process.env.GH_TOKEN || null,
+    apiUrl: (
+      settings.apiUrl ||
+      process.env.GITHUB_API_URL ||
+      DEFAULT_API_URL
+    ).replace(/\/+$/, ""),
+    labels: settings.labels || ["taskfoundry"],
+    files: config.changedFiles || [],
+  };
+}
+
+function getCheckedSettings(config) {
+  const settings = getGitHubSettings(config);
+
+  if (!settings.repository) {
+    throw new Error(
+      'No GitHub repository: set github.repository ("owner/name") or add a GitHub "origin" remote',
+    );
+  }
+  if (!settings.token) {
+    throw new Error(
+      "No GitHub token: run 'create-task setup --integration github' or set GITHUB_TOKEN",
+    );
+  }
+
+  return settings;
+}
+
+async function request(settings, method, path, body) {
+  const { apiUrl, repository, token } = settings;
+  const [owner, repo] = repository.split("/");
+  const url = `${apiUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}${path}`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/vnd.github+json",
+        Authorization: `Bearer ${token}`,
+        "X-GitHub-Api-Version": API_VERSION,
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+  } catch (error) {
+    throw new Error(`Could not reach GitHub at ${apiUrl}: ${error.message}`);
+  }
+
+  if (response.status === 401) {
+    throw new Error("GitHub rejected the token");
+  }
+
+  // GitHub answers 404 rather than 403 when the token can't see the repository
+  if (response.status === 403 || response.status === 404) {
+    throw new Error(
+      `GitHub repository ${repository} not found or the token lacks write access`,
+    );
+  }
+
+  if (!response.ok) {
+    const details = await response.text();
+    throw new Error(
+      `GitHub request failed: ${response.status} ${response.statusText}${details ? ` - ${details.slice(0, 300)}` : ""}`,
+    );
+  }
+
+  return response.json();
+}
+
+// Create an issue from a task; returns { id, url }
+export async function createIssue(task, config = {}) {
+  const settings = getCheckedSettings(config);
+  const issue = await request(
+    settings,
+    "POST",
+    "/issues",
+    toGitHubIssue(task, settings),
+  );
+
+  return { id: issue.number, url: issue.html_url };
+}
+
+// Open a pull request for config.branch against config.baseBranch, or update
+// the title and body of the one already open; returns { id, url, updated }
+export async function createPullRequest(pr, config = {}) {
+  const settings = getCheckedSettings(config);
+  const { branch, baseBranch } = config;
+  const [owner] = settings.repository.split("/");
+
+  const [existing] = await request(
+    settings,
+    "GET",
+    `/pulls?state=open&head=${encodeURIComponent(`${owner}:${branch}`)}`,
+  );
+
+  if (existing) {
+    const updated = await request(
+      settings,
+      "PATCH",
+      `/pulls/${existing.number}`,
+      { title: pr.title, body: pr.body },
+    );
+    return { id: updated.number, url: updated.html_url, updated: true };
+  }
+
+  const created = await request(settings, "POST", "/pulls", {
+    title: pr.title,
+    body: pr.body,
+    head: branch,
+    base: baseBranch,
+    draft: Boolean(config.draft),
+  });
+
+  return { id: created.number, url: created.html_url, updated: false };
+}
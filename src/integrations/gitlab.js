@@ -0,0 +1,166 @@
+// src/integrations/gitlab.js
+import fetch from "node-fetch";
+import { getToken } from "../config/systemConfig.js";
+import { toGitLabIssue, toIssueBody } from "../formatters.js";
+import { getCurrentBranch, getRemoteUrl } from "../utils/git.js";
+
+const DEFAULT_URL = "https://gitlab.com";
+
+// The generated part of a merge request description sits between these
+// markers so that updates keep whatever else the author wrote
+const MR_START = "<!-- taskfoundry:start -->";
+const MR_END = "<!-- taskfoundry:end -->";
+
+// Project path ("group/subgroup/name") from an https or ssh remote URL
+export function parseGitLabProject(url = "") {
+  const match = url
+    .trim()
+    .match(
+      /^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?[^/:]+(?::\d+)?[:/](.+?)(?:\.git)?\/?$/,
+    );
+  return match ? match[1] : null;
+}
+
+// Settings come from "gitlab" in .taskfoundry.json. The token is stored with
+// `create-task setup --integration gitlab` or read from GITLAB_TOKEN; the
+// project defaults to the origin remote. url is the instance, e.g. a
+// self-managed https://gitlab.example.com.
+export function getGitLabSettings(config = {}) {
+  const settings = config.gitlab || {};
+
+  return {
+    url: (settings.url || process.env.GITLAB_URL || DEFAULT_URL).replace(
+      /\/+$/,
+      "",
+    ),
+    project:
+      settings.project ||
+      process.env.GITLAB_PROJECT ||
+      parseGitLabProject(getRemoteUrl()),
+    token: getToken("gitlab", "GITLAB_TOKEN") || null,
+    labels: settings.labels || ["taskfoundry"],
+    files: config.changedFiles || [],
+  };
+}
+
+function getCheckedSettings(config) {
+  const settings = getGitLabSettings(config);
+
+  if (!settings.project) {
+    throw new Error(
+      'No GitLab project: set gitlab.project ("group/name" or an ID) or add a GitLab "origin" remote',
+    );
+  }
+  if (!settings.token) {
+    throw new Error(
+      "No GitLab token: run 'create-task setup --integration gitlab' or set GITLAB_TOKEN",
+    );
+  }
+
+  return settings;
+}
+
+async function request(settings, method, path, body) {
+  const { url, project, token } = settings;
+  const endpoint = `${url}/api/v4/projects/${encodeURIComponent(project)}${path}`;
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "PRIVATE-TOKEN": token,
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+  } catch (error) {
+    throw new Error(`Could not reach GitLab at ${url}: ${error.message}`);
+  }
+
+  if (response.status === 401) {
+    throw new Error("GitLab rejected the personal access token");
+  }
+
+  if (response.status === 403 || response.status === 404) {
+    throw new Error(
+      `GitLab project ${project} not found or the token lacks the api scope`,
+    );
+  }
+
+  if (!response.ok) {
+    const details = await response.text();
+    throw new Error(
+      `GitLab request failed: ${response.status} ${response.statusText}${details ? ` - ${details.slice(0, 300)}` : ""}`,
+    );
+  }
+
+  return response.json();
+}
+
+// Create an issue from a task; returns { id, url }
+export async function createGitLabIssue(task, config = {}) {
+  const settings = getCheckedSettings(config);
+  const issue = await request(
+    settings,
+    "POST",
+    "/issues",
+    toGitLabIssue(task, settings),
+  );
+
+  return { id: issue.iid, url: issue.web_url };
+}
+
+// Replace the generated block of a description, or add one below the
+// existing text
+export function mergeDescription(existing = "", generated) {
+  const block = `${MR_START}\n${generated}\n${MR_END}`;
+  const start = existing.indexOf(MR_START);
+  const end = existing.indexOf(MR_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return (
+      existing.slice(0, start) + block + existing.slice(end + MR_END.length)
+    );
+  }
+
+  return existing.trim() ? `${existing.trim()}\n\n${block}` : block;
+}
+
+// Write the task into the description of the open merge request for the
+// branch (--branch, or the checked-out one); returns { id, url }
+export async function updateMergeRequest(task, config = {}) {
+  const settings = getCheckedSettings(config);
+  const branch = config.branch || getCurrentBranch();
+
+  if (!branch) {
+    throw new Error(
+      "Could not determine the branch of the merge request (detached HEAD?); pass --branch",
+    );
+  }
+
+  const [mergeRequest] = await request(
+    settings,
+    "GET",
+    `/merge_requests?state=opened&source_branch=${encodeURIComponent(branch)}`,
+  );
+
+  if (!mergeRequest) {
+    throw new Error(`No open merge request for branch ${branch}`);
+  }
+
+  const updated = await request(
+    settings,
+    "PUT",
+    `/merge_requests/${mergeRequest.iid}`,
+    {
+      description: mergeDescription(
+        mergeRequest.description || "",
+        toIssueBody(task),
+      ),
+    },
+  );
+
+  return { id: updated.iid, url: updated.web_url };
+}
@@ -0,0 +1,41 @@
+// src/integrations/index.js
+import { createWorkItem } from "./azureDevOps.js";
+import { createIssue } from "./github.js";
+import { createGitLabIssue, updateMergeRequest } from "./gitlab.js";
+import { createJiraIssue } from "./jira.js";
+
+// --push targets: push(task, config) resolves to { id, url }; action is
+// what the log line says happened
+const PUSH_TARGETS = {
+  "azure-devops": { label: "Azure DevOps work item", push: createWorkItem },
+  github: { label: "GitHub issue", push: createIssue },
+  jira: { label: "Jira issue", push: createJiraIssue },
+  gitlab: { label: "GitLab issue", push: createGitLabIssue },
+  "gitlab-mr": {
+    label: "GitLab merge request",
+    action: "Updated",
+    push: updateMergeRequest,
+  },
+};
+
+export function getPushTargets() {
+  return Object.keys(PUSH_TARGETS);
+}
+
+// Create the task in a tracker; returns { target, id, url }
+export async function pushTask(target, task, config = {}) {
+  const definition = PUSH_TARGETS[target];
+  if (!definition) {
+    throw new Error(
+      `Unknown push target: ${target}. Available targets: ${getPushTargets().join(", ")}`,
+    );
+  }
+
+  const { id, url } = await definition.push(task, config);
+  // stderr, so --output json stays parseable; the URL is in the result too
+  console.error(
+    `✅ ${definition.action || "Created"} ${definition.label} #${id}: ${url}`,
+  );
+
+  return { target, id, url };
+}
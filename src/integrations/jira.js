@@ -0,0 +1,98 @@
+// src/integrations/jira.js
+import fetch from "node-fetch";
+import { getToken } from "../config/systemConfig.js";
+import { toJiraIssue } from "../formatters.js";
+
+// Settings come from "jira" in .taskfoundry.json, with environment variables
+// as fallback. The API token is stored with
+// `create-task setup --integration jira` or read from JIRA_API_TOKEN.
+export function getJiraSettings(config = {}) {
+  const settings = config.jira || {};
+
+  return {
+    baseUrl:
+      (settings.baseUrl || process.env.JIRA_BASE_URL || "").replace(
+        /\/+$/,
+        "",
+      ) || null,
+    email: settings.email || process.env.JIRA_EMAIL || null,
+    token: getToken("jira", "JIRA_API_TOKEN") || null,
+    projectKey: settings.projectKey || process.env.JIRA_PROJECT_KEY || null,
+    issueType: settings.issueType || "Task",
+    components: settings.components || [],
+    labels: settings.labels || ["taskfoundry"],
+  };
+}
+
+// Jira explains rejected fields as { errorMessages: [], errors: { field: msg } }
+function describeJiraErrors(details) {
+  try {
+    const { errorMessages = [], errors = {} } = JSON.parse(details);
+    const messages = [
+      ...errorMessages,
+      ...Object.entries(errors).map(
+        ([field, message]) => `${field}: ${message}`,
+      ),
+    ];
+    if (messages.length > 0) return messages.join("; ");
+  } catch {
+    // Not JSON - fall back to the raw text
+  }
+
+  return details.slice(0, 300);
+}
+
+// Create an issue from a task; returns { id, url } where id is the issue key
+export async function createJiraIssue(task, config = {}) {
+  const settings = getJiraSettings(config);
+
+  const missing = [
+    ["baseUrl", "jira.baseUrl (or JIRA_BASE_URL)"],
+    ["projectKey", "jira.projectKey (or JIRA_PROJECT_KEY)"],
+    ["email", "jira.email (or JIRA_EMAIL)"],
+    [
+      "token",
+      "an API token ('create-task setup --integration jira' or JIRA_API_TOKEN)",
+    ],
+  ].filter(([key]) => !settings[key]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing Jira settings: ${missing.map(([, name]) => name).join(", ")}`,
+    );
+  }
+
+  const { baseUrl, email, token } = settings;
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/rest/api/3/issue`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        Authorization: `Basic ${Buffer.from(`${email}:${token}`).toString("base64")}`,
+      },
+      body: JSON.stringify(toJiraIssue(task, settings)),
+    });
+  } catch (error) {
+    throw new Error(`Could not reach Jira at ${baseUrl}: ${error.message}`);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(
+      `Jira rejected the credentials for ${email} (check the API token and project permissions)`,
+    );
+  }
+
+  if (!response.ok) {
+    const details = await response.text();
+    throw new Error(
+      `Jira request failed: ${response.status} ${response.statusText}${details ? ` - ${describeJiraErrors(details)}` : ""}`,
+    );
+  }
+
+  const issue = await response.json();
+
+  return { id: issue.key, url: `${baseUrl}/browse/${issue.key}` };
+}
@@ -0,0 +1,231 @@
+// src/models.js
+// Canonical Task and Commit models. Every engine result is normalised into
+// one of these before it reaches a formatter:
+//
+//   Task   { title, summary, tech, metadata }
+//   Commit { type, scope, description, body, breaking, breakingDescription,
+//            metadata }
+//
+// metadata: { engine, model, usage, durationMs, diffSource, generatedAt }
+// where usage is { promptTokens, completionTokens, totalTokens } or null.
+
+export const COMMIT_TYPES = {
+  feat: "A new feature",
+  fix: "A bug fix",
+  docs: "Documentation only changes",
+  style:
+    "Changes that do not affect the meaning of the code (white-space, formatting, etc)",
+  refactor: "A code change that neither fixes a bug nor adds a feature",
+  perf: "A code change that improves performance",
+  test: "Adding missing tests or correcting existing tests",
+  chore: "Changes to the build process or auxiliary tools and libraries",
+  ci: "Changes to CI configuration files and scripts",
+  build: "Changes that affect the build system or external dependencies",
+};
+
+const DEFAULT_COMMIT_DESCRIPTION = "update code";
+
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) {
+    return value.map((item) => `- ${toText(item)}`).join("\n");
+  }
+  return String(value).trim();
+}
+
+// Provider usage comes as OpenAI-style prompt_tokens/completion_tokens or
+// Ollama-style prompt_eval_count/eval_count
+export function normalizeUsage(usage) {
+  if (!usage) return null;
+
+  const promptTokens =
+    usage.promptTokens ?? usage.prompt_tokens ?? usage.prompt_eval_count ?? 0;
+  const completionTokens =
+    usage.completionTokens ?? usage.completion_tokens ?? usage.eval_count ?? 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens:
+      usage.totalTokens ??
+      usage.total_tokens ??
+      promptTokens + completionTokens,
+  };
+}
+
+export function addUsage(total, usage) {
+  const normalized = normalizeUsage(usage);
+  if (!normalized) return total;
+  if (!total) return normalized;
+
+  return {
+    promptTokens: total.promptTokens + normalized.promptTokens,
+    completionTokens: total.completionTokens + normalized.completionTokens,
+    totalTokens: total.totalTokens + normalized.totalTokens,
+  };
+}
+
+export function createMetadata(metadata = {}) {
+  return {
+    engine: metadata.engine || null,
+    model: metadata.model || null,
+    usage: normalizeUsage(metadata.usage),
+    durationMs: metadata.durationMs ?? null,
+    diffSource: metadata.diffSource || null,
+    generatedAt: metadata.generatedAt || new Date().toISOString(),
+  };
+}
+
+export function validateTask(task) {
+  const errors = [];
+
+  if (!task || typeof task !== "object") {
+    return ["task must be an object"];
+  }
+  if (!task.title) errors.push("title is required");
+  if (!task.summary) errors.push("summary is required");
+  if (typeof task.tech !== "string") errors.push("tech must be a string");
+
+  return errors;
+}
+
+export function normalizeTask(raw, metadata = {}) {
+  const source = typeof raw === "string" ? { summary: raw } : raw || {};
+
+  const summary = toText(source.summary ?? source.description);
+  const task = {
+    // Engines without a title still produce a usable task from the summary
+    title: toText(source.title) || summary.split("\n")[0],
+    summary,
+    tech: toText(
+      source.tech ??
+        source.technical ??
+        source.technical_considerations ??
+        source.technicalConsiderations,
+    ),
+    metadata: createMetadata({ ...source.metadata, ...metadata }),
+  };
+
+  const errors = validateTask(task);
+  if (errors.length > 0) {
+    throw new Error(`Invalid task result: ${errors.join(", ")}`);
+  }
+
+  return task;
+}
+
+// Parse "type(scope)!: description\n\nbody\n\nBREAKING CHANGE: ..." into its
+// parts; headers without a conventional prefix become chore commits
+export function parseCommitMessage(message) {
+  const [header = "", ...rest] = String(message).trim().split("\n");
+  const match = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/);
+
+  let body = rest.join("\n").trim();
+  let breakingDescription = "";
+
+  const footer = body.match(/(?:^|\n)BREAKING[ -]CHANGE:\s*([\s\S]*)$/);
+  if (footer) {
+    breakingDescription = footer[1].trim();
+    body = body.substring(0, footer.index).trim();
+  }
+
+  return {
+    type: match ? match[1].toLowerCase() : "chore",
+    scope: match ? match[2] || "" : "",
+    description: match ? match[4] : header,
+    body,
+    breaking: Boolean((match && match[3]) || breakingDescription),
+    breakingDescription,
+  };
+}
+
+export function validateCommit(commit) {
+  const errors = [];
+
+  if (!commit || typeof commit !== "object") {
+    return ["commit must be an object"];
+  }
+  if (!Object.keys(COMMIT_TYPES).includes(commit.type)) {
+    errors.push(`type must be one of: ${Object.keys(COMMIT_TYPES).join(", ")}`);
+  }
+  if (!commit.description) errors.push("description is required");
+  if (typeof commit.breaking !== "boolean") {
+    errors.push("breaking must be a boolean");
+  }
+
+  return errors;
+}
+
+export function normalizeCommit(raw, metadata = {}) {
+  let source = raw || {};
+
+  // Plain messages, free tier { message, commit } results and pre-formatted
+  // descriptions are parsed back into their parts
+  if (typeof source === "string") {
+    source = parseCommitMessage(source);
+  } else if (
+    typeof (source.commit || source.message) === "string" &&
+    !Object.keys(COMMIT_TYPES).includes(source.type)
+  ) {
+    source = {
+      ...parseCommitMessage(source.commit || source.message),
+      metadata: source.metadata,
+    };
+  } else if (typeof source.description === "string" && !source.type) {
+    source = {
+      ...parseCommitMessage(source.description),
+      metadata: source.metadata,
+    };
+  }
+
+  const type = toText(source.type).toLowerCase();
+  const breakingDescription = toText(source.breakingDescription);
+
+  const commit = {
+    type: Object.keys(COMMIT_TYPES).includes(type) ? type : "chore",
+    scope: toText(source.scope).replace(/[()]/g, ""),
+    description: toText(source.description) || DEFAULT_COMMIT_DESCRIPTION,
+    body: toText(source.body),
+    breaking: Boolean(source.breaking) || Boolean(breakingDescription),
+    breakingDescription,
+    metadata: createMetadata({ ...source.metadata, ...metadata }),
+  };
+
+  const errors = validateCommit(commit);
+  if (errors.length > 0) {
+    throw new Error(`Invalid commit result: ${errors.join(", ")}`);
+  }
+
+  return commit;
+}
+
+export function normalizeResult(raw, metadata = {}, commitMode = false) {
+  return commitMode
+    ? normalizeCommit(raw, metadata)
+    : normalizeTask(raw, metadata);
+}
+
+// Render a canonical commit as a conventional commit message
+export function renderCommitMessage(commit) {
+  let message = commit.type;
+
+  if (commit.scope) {
+    message += `(${commit.scope})`;
+  }
+
+  if (commit.breaking) {
+    message += "!";
+  }
+
+  message += `: ${commit.description}`;
+
+  if (commit.body) {
+    message += `\n\n${commit.body}`;
+  }
+
+  if (commit.breaking && commit.breakingDescription) {
+    message += `\n\nBREAKING CHANGE: ${commit.breakingDescription}`;
+  }
+
+  return message;
+}
@@ -0,0 +1,532 @@
+// src/prompts.js
+import { existsSync, readFileSync } from "fs";
+import { resolve } from "path";
+import { COMMIT_TYPES } from "./models.js";
+import { parseDiff, formatDiffStats } from "./utils/diffProcessor.js";
+
+// Built-in templates. Custom templates (--template <path>, customPrompt or
+// templates.prompt / templates.commit in .taskfoundry.json) can use the same
+// placeholders:
+//   {diff}     the (preprocessed) git diff
+//   {files}    changed file paths, one per line
+//   {branch}   current git branch
+//   {stats}    `git diff --stat` style summary
+//   {type}     what is being generated: "task", "commit", "pr",
+//              "changelog" or "split"
+//   {commits}  commit messages of the analysed range (--range, --branch,
+//              --since) or patch subjects (--diff-file, --stdin), empty
+//              otherwise
+//   {format}   response format instructions (line-prefixed text, or JSON when
+//              the engine uses structured output) - keep this so replies
+//              can be parsed
+// Commit templates additionally get {typeGuidance}, {scopeGuidance},
+// {breakingGuidance} and {style} (what was learned from the repository's
+// history, see commitStyle.js); pull request templates (templates.pr) get {sections}.
+// Changelog summaries (templates.changelog) get the grouped commit list as
+// {diff}; split plans (templates.split) get the staged changes with every
+// hunk labelled H1, H2, ... as {diff}.
+export const DEFAULT_TEMPLATES = {
+  task: `{instruction}
+{format}
+{commits}
+{inputLabel}
+\`\`\`
+{diff}
+\`\`\``,
+
+  commit: `{instruction}
+
+{typeGuidance}
+{scopeGuidance}
+{breakingGuidance}
+{style}
+{format}
+{commits}
+{inputLabel}
+\`\`\`
+{diff}
+\`\`\``,
+
+  pr: `{instruction}
+
+{sections}
+
+{format}
+{commits}
+{inputLabel}
+\`\`\`
+{diff}
+\`\`\``,
+
+  changelog: `{instruction}
+
+{format}
+
+{inputLabel}
+{diff}`,
+
+  split: `{instruction}
+
+{format}
+
+{inputLabel}
+{diff}`,
+};
+
+const TASK_FORMAT = `Respond in exactly this format:
+
+TITLE: [Brief summary of the change]
+SUMMARY: [What was changed and why]
+TECHNICAL: [Implementation notes and considerations]
+
+Keep responses concise and focused.`;
+
+const DETAILED_TASK_FORMAT = `Create a comprehensive task description with detailed sections.
+
+Respond in exactly this format:
+
+TITLE: [Clear, actionable title]
+SUMMARY: [Comprehensive summary including:
+- What was changed and why
+- Key functionality added/modified
+- Business impact or user benefits
+- Requirements or acceptance criteria
+- Test coverage requirements if applicable]
+TECHNICAL: [Detailed technical considerations including:
+- Implementation approach and architecture decisions
+- Dependencies and integrations affected
+- Performance considerations
+- Security considerations if applicable
+- Testing strategy and recommendations
+- Deployment considerations
+- Potential risks and mitigation strategies
+- Code quality and best practices notes]
+
+Provide detailed, actionable information that would help a developer understand the full scope and context.`;
+
+const COMMIT_FORMAT = `Guidelines:
+- Description should be in imperative mood (e.g., "add" not "added" or "adds")
+- Keep description under 50 characters if possible
+- Description should be lowercase
+- Body should explain what and why, not how
+- Follow conventional commit format: type(scope): description
+
+Respond in exactly this format:
+TYPE: [commit type]
+SCOPE: [scope or leave empty if none]
+DESCRIPTION: [clear, concise description in imperative mood]
+BODY: [optional longer explanation - leave empty if not needed]
+BREAKING: [breaking change description if applicable, otherwise leave empty]`;
+
+// Used instead of the formats above when the engine requests JSON output
+const TASK_JSON_FORMAT = `Respond with only a JSON object in exactly this shape:
+
+{
+  "title": "Brief summary of the change",
+  "summary": "What was changed and why",
+  "technical": "Implementation notes and considerations"
+}
+
+Keep responses concise and focused.`;
+
+const DETAILED_TASK_JSON_FORMAT = `Create a comprehensive task description with detailed sections.
+
+Respond with only a JSON object in exactly this shape:
+
+{
+  "title": "Clear, actionable title",
+  "summary": "Comprehensive summary including: what was changed and why; key functionality added/modified; business impact or user benefits; requirements or acceptance criteria; test coverage requirements if applicable",
+  "technical": "Detailed technical considerations including: implementation approach and architecture decisions; dependencies and integrations affected; performance considerations; security considerations if applicable; testing strategy and recommendations; deployment considerations; potential risks and mitigation strategies; code quality and best practices notes"
+}
+
+Markdown lists are allowed inside the string values. Provide detailed, actionable information that would help a developer understand the full scope and context.`;
+
+const COMMIT_JSON_FORMAT = `Guidelines:
+- Description should be in imperative mood (e.g., "add" not "added" or "adds")
+- Keep description under 50 characters if possible
+- Description should be lowercase
+- Body should explain what and why, not how
+- Follow conventional commit format: type(scope): description
+
+Respond with only a JSON object in exactly this shape:
+
+{
+  "type": "commit type",
+  "scope": "scope, or an empty string if none",
+  "description": "clear, concise description in imperative mood",
+  "body": "optional longer explanation, or an empty string",
+  "breaking": false,
+  "breakingDescription": "breaking change description if applicable, otherwise an empty string"
+}`;
+
+// Pull requests reuse the task fields: the title, the whole description as
+// the summary and optional reviewer notes as the technical part
+const PR_FORMAT = `Respond in exactly this format:
+
+TITLE: [Pull request title]
+SUMMARY: [The description: every section above, each starting with its "## " heading line]
+TECHNICAL: [Anything else reviewers should know, or leave empty]`;
+
+const PR_JSON_FORMAT = `Respond with only a JSON object in exactly this shape:
+
+{
+  "title": "Pull request title",
+  "summary": "The description in Markdown: every section above, each starting with its \\"## \\" heading line",
+  "technical": "Anything else reviewers should know, or an empty string"
+}`;
+
+// Release summaries only need the summary paragraph; the title and the
+// technical part carry a headline and upgrade notes
+const CHANGELOG_FORMAT = `Respond in exactly this format:
+
+TITLE: [Short release headline]
+SUMMARY: [One paragraph for users about the most important changes and what they mean for them - no lists]
+TECHNICAL: [Upgrade notes for breaking changes, or leave empty]`;
+
+const CHANGELOG_JSON_FORMAT = `Respond with only a JSON object in exactly this shape:
+
+{
+  "title": "Short release headline",
+  "summary": "One paragraph for users about the most important changes and what they mean for them - no lists",
+  "technical": "Upgrade notes for breaking changes, or an empty string"
+}`;
+
+// Split plans list one commit per summary line as "<hunk ids> => <message>"
+const SPLIT_FORMAT = `Respond in exactly this format:
+
+TITLE: [One line on how the changes divide up]
+SUMMARY: [One line per commit, in the order to make them, each listing its hunks and its conventional commit header, e.g.
+H1, H4 => feat(api): add login endpoint
+H2, H3 => docs: describe the login flow]
+TECHNICAL: [Anything to know about the order of the commits, or leave empty]`;
+
+const SPLIT_JSON_FORMAT = `Respond with only a JSON object in exactly this shape:
+
+{
+  "title": "One line on how the changes divide up",
+  "summary": "One line per commit, in the order to make them, each listing its hunks and its conventional commit header, e.g. \\"H1, H4 => feat(api): add login endpoint\\nH2, H3 => docs: describe the login flow\\"",
+  "technical": "Anything to know about the order of the commits, or an empty string"
+}`;
+
+function getTaskFormat(engineConfig) {
+  if (engineConfig.jsonMode) {
+    return engineConfig.detailed ? DETAILED_TASK_JSON_FORMAT : TASK_JSON_FORMAT;
+  }
+  return engineConfig.detailed ? DETAILED_TASK_FORMAT : TASK_FORMAT;
+}
+
+// Replace {name} placeholders; unknown placeholders are left untouched so
+// templates can still contain literal braces (e.g. code samples)
+export function renderTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name)
+      ? String(variables[name] ?? "")
+      : match,
+  );
+}
+
+function readTemplateFile(templatePath) {
+  const fullPath = resolve(process.cwd(), templatePath);
+
+  if (!existsSync(fullPath)) {
+    throw new Error(`Prompt template not found: ${templatePath}`);
+  }
+
+  try {
+    return readFileSync(fullPath, "utf-8");
+  } catch (error) {
+    throw new Error(
+      `Could not read prompt template ${templatePath}: ${error.message}`,
+    );
+  }
+}
+
+// Resolve the template for a mode ("task", "commit", "pr" or "changelog")
+// from CLI options and config, falling back to the built-in default
+export function loadTemplate(mode, engineConfig = {}) {
+  // Partial results of a chunked diff are always merged with the built-in
+  // wording, since custom templates are written for raw diffs
+  if (engineConfig.mergeChunks) {
+    return DEFAULT_TEMPLATES[mode];
+  }
+
+  if (engineConfig.template) {
+    return readTemplateFile(engineConfig.template);
+  }
+
+  if (mode === "task") {
+    if (engineConfig.customPrompt) {
+      return readTemplateFile(engineConfig.customPrompt);
+    }
+    if (engineConfig.templates?.prompt) {
+      return engineConfig.templates.prompt;
+    }
+  }
+
+  if (mode === "commit" && engineConfig.templates?.commit) {
+    return engineConfig.templates.commit;
+  }
+
+  if (mode === "pr" && engineConfig.templates?.pr) {
+    return engineConfig.templates.pr;
+  }
+
+  if (mode === "changelog" && engineConfig.templates?.changelog) {
+    return engineConfig.templates.changelog;
+  }
+
+  if (mode === "split" && engineConfig.templates?.split) {
+    return engineConfig.templates.split;
+  }
+
+  return DEFAULT_TEMPLATES[mode];
+}
+
+// When a large diff is split, each chunk is summarised on its own (chunk is
+// { index, total }) and the partial results are merged with mergeChunks set
+function describeChunk(engineConfig) {
+  const { chunk } = engineConfig;
+  return chunk
+    ? ` This diff is part ${chunk.index} of ${chunk.total} of a larger change; describe only what this part contains.`
+    : "";
+}
+
+// Commit messages as a bulleted block; continuation lines are indented so
+// multi-line messages stay attached to their bullet
+function formatCommitMessages(commitMessages = []) {
+  if (commitMessages.length === 0) return "";
+
+  const bullets = commitMessages.map((message) =>
+    message
+      .trim()
+      .split("\n")
+      .map((line, index) => (index === 0 ? `- ${line}` : line && `  ${line}`))
+      .join("\n"),
+  );
+
+  return `\nCommit messages in this range (oldest first):\n${bullets.join("\n")}\n`;
+}
+
+function getDiffVariables(diff, engineConfig) {
+  const files = parseDiff(diff);
+
+  return {
+    diff,
+    files: files.map((file) => file.path).join("\n"),
+    stats: files.length > 0 ? formatDiffStats(files) : "",
+    branch: engineConfig.currentBranch || "",
+    commits: formatCommitMessages(engineConfig.commitMessages),
+  };
+}
+
+export function buildTaskPrompt(diff, engineConfig = {}) {
+  const instruction = engineConfig.mergeChunks
+    ? `These are task descriptions for consecutive parts of one large git diff. Merge them into a single task description for Azure DevOps or similar tools that covers the whole change.`
+    : `Analyze this git diff and create a task description for Azure DevOps or similar tools.${describeChunk(engineConfig)}`;
+
+  return renderTemplate(loadTemplate("task", engineConfig), {
+    ...getDiffVariables(diff, engineConfig),
+    type: "task",
+    instruction,
+    format: getTaskFormat(engineConfig),
+    inputLabel: engineConfig.mergeChunks
+      ? "Partial task descriptions:"
+      : "Git diff:",
+  });
+}
+
+// Instruction for repairing a message that failed `create-commit lint`
+function describeDraft({ draftMessage, draftProblems = [] }) {
+  const problems = draftProblems.map((problem) => `- ${problem}`).join("\n");
+
+  return `Rewrite this draft commit message as a conventional commit message. Keep what it says about the change and use the git diff for context.
+
+Problems to fix:
+${problems}
+
+Draft message:
+\`\`\`
+${draftMessage}
+\`\`\``;
+}
+
+// At least this share of the sampled commits must do something before the
+// commit prompt treats it as the repository's style
+const STYLE_THRESHOLD = 0.5;
+
+// Guidance for the commit prompt from the learned style profile; empty when
+// the history shows no habit worth copying. The branch name points at the
+// ticket the work belongs to.
+function describeCommitStyle({
+  commitStyle: profile,
+  currentBranch: branch = "",
+  scope,
+  scopeCandidates = [],
+}) {
+  if (!profile || profile.sampled === 0) return "";
+
+  const rules = [];
+
+  // A scope from --scope or the file paths is more specific than the history
+  const scopeKnown =
+    (scope !== undefined && scope !== null) || scopeCandidates.length > 0;
+
+  if (
+    !scopeKnown &&
+    profile.scopes.length > 0 &&
+    profile.scoped >= STYLE_THRESHOLD
+  ) {
+    rules.push(
+      `Scopes used in this repository, most common first: ${profile.scopes
+        .slice(0, 10)
+        .map(({ name }) => name)
+        .join(
+          ", ",
+        )}. Reuse one of them when it fits rather than inventing a new one.`,
+    );
+  } else if (!scopeKnown && profile.conventional >= STYLE_THRESHOLD) {
+    rules.push("Commits in this repository rarely have a scope.");
+  }
+
+  if (profile.casing === "sentence") {
+    rules.push(
+      "Start the description with a capital letter, as this repository does (this overrides the lowercase guideline below).",
+    );
+  }
+
+  if (profile.tickets && profile.tickets.share >= STYLE_THRESHOLD) {
+    const { keys, placement } = profile.tickets;
+    const ticket = branch.match(
+      new RegExp(`\\b(?:${keys.join("|")})-\\d+\\b`, "i"),
+    );
+
+    rules.push(
+      ticket
+        ? `Reference the ticket ${ticket[0].toUpperCase()} in the ${placement === "header" ? "description" : "body"}, the way the examples reference tickets.`
+        : `Commits here usually reference a ${keys[0]}-123 style ticket in the ${placement}; only add one if the diff names it.`,
+    );
+  }
+
+  if (profile.gitmoji >= STYLE_THRESHOLD) {
+    rules.push(
+      "Start the description with a gitmoji that matches the change, as the examples do.",
+    );
+  }
+
+  const examples = profile.examples.map((header) => `- ${header}`).join("\n");
+  if (rules.length === 0 && !examples) return "";
+
+  return `\nMatch the style of this repository's history:${rules.map((rule) => `\n- ${rule}`).join("")}${
+    examples
+      ? `\n\nRecent commit headers from this repository:\n${examples}`
+      : ""
+  }\n`;
+}
+
+export function buildCommitPrompt(diff, engineConfig = {}) {
+  const { type, scope, breaking } = engineConfig;
+
+  const typeGuidance = type
+    ? `Use the commit type "${type}".`
+    : "Determine the most appropriate commit type from: feat, fix, docs, style, refactor, perf, test, chore, ci, build.";
+
+  let scopeGuidance =
+    "Determine an appropriate scope if relevant (e.g., api, ui, auth, db). Leave empty if not applicable.";
+  if (scope) {
+    scopeGuidance = `Use the scope "${scope}".`;
+  } else if (scope === "") {
+    scopeGuidance = "Leave the scope empty.";
+  } else if (engineConfig.scopeCandidates?.length > 0) {
+    scopeGuidance = `The changed files belong to these scopes: ${engineConfig.scopeCandidates.join(", ")}. Use the one that fits the change best, or leave the scope empty if the change spans them.`;
+  }
+
+  const breakingGuidance = breaking
+    ? "This is a BREAKING CHANGE that affects existing functionality."
+    : "Determine if this is a breaking change based on the diff.";
+
+  const instruction = engineConfig.mergeChunks
+    ? "Combine these partial commit messages, each describing part of one large staged diff, into a single conventional commit message."
+    : engineConfig.draftMessage
+      ? describeDraft(engineConfig)
+      : `Generate a conventional commit message for this git diff.${describeChunk(engineConfig)}`;
+
+  return renderTemplate(loadTemplate("commit", engineConfig), {
+    ...getDiffVariables(diff, engineConfig),
+    type: "commit",
+    instruction,
+    typeGuidance,
+    scopeGuidance,
+    breakingGuidance,
+    style: describeCommitStyle(engineConfig),
+    format: engineConfig.jsonMode ? COMMIT_JSON_FORMAT : COMMIT_FORMAT,
+    inputLabel: engineConfig.mergeChunks
+      ? "Partial commit messages:"
+      : "Git diff:",
+  });
+}
+
+// Sections of a pull request description, each { heading, guidance }
+function formatPrSections(sections = []) {
+  const lines = sections.map(({ heading, guidance }) =>
+    guidance ? `- ${heading}: ${guidance}` : `- ${heading}`,
+  );
+
+  return `Use these sections, in this order:\n${lines.join("\n")}`;
+}
+
+export function buildPrPrompt(diff, engineConfig = {}) {
+  const instruction = engineConfig.mergeChunks
+    ? "These are pull request descriptions for consecutive parts of one large branch diff. Merge them into a single pull request description that covers the whole change."
+    : `Write a pull request description for the changes on this branch. Be specific about what reviewers should look at, how the change was or can be tested, and what could break.${describeChunk(engineConfig)}`;
+
+  return renderTemplate(loadTemplate("pr", engineConfig), {
+    ...getDiffVariables(diff, engineConfig),
+    type: "pr",
+    instruction,
+    sections: formatPrSections(engineConfig.prSections),
+    format: engineConfig.jsonMode ? PR_JSON_FORMAT : PR_FORMAT,
+    inputLabel: engineConfig.mergeChunks
+      ? "Partial pull request descriptions:"
+      : "Git diff:",
+  });
+}
+
+// The input is the rendered changelog rather than a diff
+export function buildChangelogPrompt(changelog, engineConfig = {}) {
+  return renderTemplate(loadTemplate("changelog", engineConfig), {
+    ...getDiffVariables(changelog, engineConfig),
+    type: "changelog",
+    instruction:
+      "Write release notes for the changes below: a short, human-friendly summary paragraph that a user of the project can read in a few seconds.",
+    format: engineConfig.jsonMode ? CHANGELOG_JSON_FORMAT : CHANGELOG_FORMAT,
+    inputLabel: "Changes in this release:",
+  });
+}
+
+export function buildSplitPrompt(diff, engineConfig = {}) {
+  return renderTemplate(loadTemplate("split", engineConfig), {
+    ...getDiffVariables(diff, engineConfig),
+    type: "split",
+    instruction: `These staged changes span more than one concern. Group their hunks into a few atomic commits - each one a single logical change that makes sense on its own - and write a conventional commit header for each. Types: ${Object.keys(COMMIT_TYPES).join(", ")}. Every hunk must be in exactly one commit; keep hunks that depend on each other together.`,
+    format: engineConfig.jsonMode ? SPLIT_JSON_FORMAT : SPLIT_FORMAT,
+    inputLabel: "Staged hunks:",
+  });
+}
+
+export function buildPrompt(diff, engineConfig = {}) {
+  if (engineConfig.prMode) {
+    return buildPrPrompt(diff, engineConfig);
+  }
+
+  if (engineConfig.changelogMode) {
+    return buildChangelogPrompt(diff, engineConfig);
+  }
+
+  if (engineConfig.splitMode) {
+    return buildSplitPrompt(diff, engineConfig);
+  }
+
+  return engineConfig.commitMode
+    ? buildCommitPrompt(diff, engineConfig)
+    : buildTaskPrompt(diff, engineConfig);
+}
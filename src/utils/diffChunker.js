@@ -0,0 +1,144 @@
+// src/utils/diffChunker.js
+import { parseDiff } from "./diffProcessor.js";
+
+// Context windows (in tokens) of the models we ship mappings for
+const MODEL_CONTEXT_WINDOWS = {
+  "llama-3.3-70b-versatile": 131072,
+  "llama-3.1-70b-versatile": 131072,
+  "llama-3.1-8b-instant": 131072,
+  "mixtral-8x7b-32768": 32768,
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "gpt-4": 8192,
+  "gpt-3.5-turbo": 16385,
+  "meta-llama/Llama-3.1-70B-Instruct": 131072,
+  "meta-llama/Llama-3.1-8B-Instruct": 131072,
+  "mistralai/Mixtral-8x7B-Instruct-v0.1": 32768,
+  llama2: 4096,
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Rough estimate (~4 characters per token for English text and code),
+// good enough to decide whether a diff needs to be split
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+export function getContextWindow(model) {
+  return MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+// Split a diff into chunks of at most maxTokens, keeping whole files together
+// where possible and falling back to hunks, then lines, for oversized files
+export function splitDiff(diff, maxTokens) {
+  const firstFile = diff.search(/^diff --git /m);
+  const preamble = firstFile > 0 ? diff.substring(0, firstFile).trim() : "";
+  const files = parseDiff(diff);
+
+  const pieces =
+    files.length > 0
+      ? files.flatMap((file) => splitFile(file.content, maxTokens))
+      : splitLines(diff, "", maxTokens);
+
+  const chunks = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    const candidate = current ? `${current}\n${piece}` : piece;
+
+    if (current && estimateTokens(candidate) > maxTokens) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return { preamble, chunks };
+}
+
+function splitFile(content, maxTokens) {
+  if (estimateTokens(content) <= maxTokens) {
+    return [content];
+  }
+
+  // Header lines (diff --git, index, ---/+++) are repeated on every hunk so
+  // each piece still says which file it belongs to
+  const lines = content.split("\n");
+  const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+  if (firstHunk === -1) {
+    return splitLines(content, "", maxTokens);
+  }
+
+  const header = lines.slice(0, firstHunk).join("\n");
+  const hunks = [];
+  let hunk = [];
+
+  for (const line of lines.slice(firstHunk)) {
+    if (line.startsWith("@@") && hunk.length > 0) {
+      hunks.push(hunk.join("\n"));
+      hunk = [];
+    }
+    hunk.push(line);
+  }
+  hunks.push(hunk.join("\n"));
+
+  const pieces = [];
+  let current = "";
+
+  for (const hunkText of hunks) {
+    const candidate = current
+      ? `${current}\n${hunkText}`
+      : `${header}\n${hunkText}`;
+
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    const single = `${header}\n${hunkText}`;
+    if (estimateTokens(single) <= maxTokens) {
+      current = single;
+    } else {
+      pieces.push(...splitLines(hunkText, header, maxTokens));
+      current = "";
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+function splitLines(text, header, maxTokens) {
+  const pieces = [];
+  let current = header;
+
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+
+    if (current !== header && estimateTokens(candidate) > maxTokens) {
+      pieces.push(current);
+      current = header ? `${header}\n${line}` : line;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current && current !== header) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
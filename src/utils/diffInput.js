@@ -0,0 +1,69 @@
+// src/utils/diffInput.js
+import { existsSync, readFileSync, statSync } from "fs";
+
+// Read a .patch/.diff file (plain `git diff` output or `git format-patch`
+// mails)
+export function readDiffFile(path) {
+  if (!existsSync(path) || !statSync(path).isFile()) {
+    throw new Error(`Diff file not found: ${path}`);
+  }
+
+  return readFileSync(path, "utf-8");
+}
+
+export async function readStdin(stream = process.stdin) {
+  // An interactive terminal means nothing was piped in; waiting would hang
+  if (stream.isTTY) {
+    throw new Error(
+      "No diff on stdin. Pipe one in, e.g.: git diff | create-task --stdin",
+    );
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk))).toString(
+    "utf-8",
+  );
+}
+
+// Separate the diff from `git format-patch` mail headers: the patch subjects
+// become commit messages for the prompt, and everything from a "From <sha>"
+// line or the "-- " signature up to the next "diff --git" (headers, message
+// body, diffstat) is dropped. Plain diffs are returned unchanged.
+export function parsePatch(text) {
+  const commits = [];
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+  let inMail = false;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (/^From [0-9a-f]{7,40} /.test(line)) {
+      inMail = true;
+    } else if (line === "-- " && /^\d+\.\d+/.test(lines[index + 1] || "")) {
+      // format-patch ends each mail with "-- " and the git version
+      inMail = true;
+    } else if (line.startsWith("diff --git ")) {
+      inMail = false;
+    }
+
+    if (inMail && line.startsWith("Subject: ")) {
+      // Long subjects are folded onto indented continuation lines
+      let subject = line.substring(9);
+      while (/^[ \t]/.test(lines[index + 1] || "")) {
+        subject += ` ${lines[++index].trim()}`;
+      }
+      commits.push(subject.replace(/^\[PATCH[^\]]*\]\s*/, "").trim());
+    }
+
+    if (!inMail) {
+      kept.push(line);
+    }
+  }
+
+  return { diff: kept.join("\n").trim(), commits };
+}
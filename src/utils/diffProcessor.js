@@ -0,0 +1,220 @@
+// src/utils/diffProcessor.js
+
+const MAX_STAT_BAR_WIDTH = 40;
+
+// Split a unified git diff into one entry per file
+export function parseDiff(diff) {
+  const files = [];
+  let current = null;
+
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      current = createFileEntry(line);
+      files.push(current);
+      continue;
+    }
+
+    // Ignore anything before the first file header
+    if (!current) continue;
+
+    current.lines.push(line);
+
+    if (!current.inHunks) {
+      if (line.startsWith("--- ") && line !== "--- /dev/null") {
+        current.oldPath = stripPrefix(line.substring(4), "a/");
+      } else if (line.startsWith("+++ ") && line !== "+++ /dev/null") {
+        current.path = stripPrefix(line.substring(4), "b/");
+      } else if (line.startsWith("rename from ")) {
+        current.oldPath = line.substring(12);
+      } else if (line.startsWith("rename to ")) {
+        current.path = line.substring(10);
+      } else if (
+        line.startsWith("Binary files ") ||
+        line === "GIT binary patch"
+      ) {
+        current.binary = true;
+      }
+    }
+
+    if (line.startsWith("@@")) {
+      current.inHunks = true;
+    } else if (current.inHunks && line.startsWith("+")) {
+      current.additions += 1;
+    } else if (current.inHunks && line.startsWith("-")) {
+      current.deletions += 1;
+    }
+  }
+
+  return files.map(
+    ({ header, lines, path, oldPath, additions, deletions, binary }) => ({
+      path,
+      oldPath,
+      additions,
+      deletions,
+      binary,
+      content: [header, ...lines].join("\n").replace(/\n+$/, ""),
+    }),
+  );
+}
+
+function createFileEntry(header) {
+  // "diff --git a/<old> b/<new>" - only reliable when paths contain no spaces,
+  // the ---/+++ and rename lines that follow take precedence
+  const match = header.match(/^diff --git a\/(.+?) b\/(.+)$/);
+
+  return {
+    header,
+    lines: [],
+    path: match ? match[2] : header.substring(11),
+    oldPath: match ? match[1] : null,
+    additions: 0,
+    deletions: 0,
+    binary: false,
+    inHunks: false,
+  };
+}
+
+function stripPrefix(path, prefix) {
+  const trimmed = path.replace(/\t.*$/, "");
+  return trimmed.startsWith(prefix)
+    ? trimmed.substring(prefix.length)
+    : trimmed;
+}
+
+// Glob matching for exclude patterns: "*" and "?" stay within a path segment,
+// "**" crosses segments, and patterns without a "/" match the file name at
+// any depth (like .gitignore)
+export function matchesPattern(filePath, pattern) {
+  const anchored = pattern.includes("/");
+  const source = globToRegExp(pattern.replace(/^\//, ""));
+  const regex = anchored
+    ? new RegExp(`^${source}$`)
+    : new RegExp(`(^|/)${source}$`);
+
+  return regex.test(filePath);
+}
+
+function globToRegExp(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" matches everything
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return source;
+}
+
+export function filterFiles(files, excludePatterns = []) {
+  if (!excludePatterns || excludePatterns.length === 0) {
+    return files;
+  }
+
+  return files.filter(
+    (file) =>
+      !excludePatterns.some(
+        (pattern) =>
+          matchesPattern(file.path, pattern) ||
+          (file.oldPath && matchesPattern(file.oldPath, pattern)),
+      ),
+  );
+}
+
+// Equivalent of `git diff --stat` for the parsed files
+export function formatDiffStats(files, labels = files.map((f) => f.path)) {
+  const nameWidth = Math.max(...labels.map((label) => label.length));
+  const maxChanges = Math.max(...files.map((f) => f.additions + f.deletions));
+  const scale =
+    maxChanges > MAX_STAT_BAR_WIDTH ? MAX_STAT_BAR_WIDTH / maxChanges : 1;
+
+  const lines = files.map((file, index) => {
+    const name = labels[index].padEnd(nameWidth);
+
+    if (file.binary) {
+      return ` ${name} | Bin`;
+    }
+
+    const changes = file.additions + file.deletions;
+    const plus = "+".repeat(Math.ceil(file.additions * scale));
+    const minus = "-".repeat(Math.ceil(file.deletions * scale));
+    return ` ${name} | ${changes} ${plus}${minus}`.trimEnd();
+  });
+
+  const additions = files.reduce((sum, f) => sum + f.additions, 0);
+  const deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+  let summary = ` ${plural(files.length, "file")} changed`;
+  if (additions > 0) summary += `, ${plural(additions, "insertion")}(+)`;
+  if (deletions > 0) summary += `, ${plural(deletions, "deletion")}(-)`;
+
+  return [...lines, summary].join("\n");
+}
+
+function anonymizeFile(file, label) {
+  const names = [file.path, file.oldPath].filter(Boolean);
+  let content = file.content;
+
+  for (const name of names) {
+    content = content.split(name).join(label);
+  }
+
+  return content;
+}
+
+// Apply excludePatterns, includeFileNames and includeDiffStats to a raw diff
+// before it is sent to an engine
+export function preprocessDiff(diff, config = {}) {
+  const {
+    excludePatterns = [],
+    includeFileNames = true,
+    includeDiffStats = true,
+  } = config;
+
+  const parsedFiles = parseDiff(diff);
+
+  // Not a per-file git diff (e.g. a bare hunk) - nothing to filter
+  if (parsedFiles.length === 0) {
+    return diff;
+  }
+
+  const files = filterFiles(parsedFiles, excludePatterns);
+
+  if (files.length === 0) {
+    throw new Error(
+      `No changes left to analyze: all ${parsedFiles.length} changed file(s) match the exclude patterns (${excludePatterns.join(", ")}).`,
+    );
+  }
+
+  const labels = files.map((file, index) =>
+    includeFileNames ? file.path : `file${index + 1}`,
+  );
+
+  const body = files
+    .map((file, index) =>
+      includeFileNames ? file.content : anonymizeFile(file, labels[index]),
+    )
+    .join("\n");
+
+  if (!includeDiffStats) {
+    return body;
+  }
+
+  return `Diff statistics:\n${formatDiffStats(files, labels)}\n\n${body}`;
+}
@@ -0,0 +1,250 @@
+// src/utils/git.js
+import { execFileSync, execSync } from "child_process";
+
+// Name of the checked-out branch, or an empty string when it can't be
+// determined (detached HEAD, no commits yet, not a repository)
+export function getCurrentBranch() {
+  try {
+    const branch = execSync("git rev-parse --abbrev-ref HEAD", {
+      encoding: "utf-8",
+      stdio: "pipe",
+    }).trim();
+    return branch === "HEAD" ? "" : branch;
+  } catch {
+    return "";
+  }
+}
+
+export function getRepositoryRoot() {
+  return git(["rev-parse", "--show-toplevel"]);
+}
+
+// Most recent tag reachable from a revision, or an empty string when there
+// is none
+export function getLatestTag(revision = "HEAD") {
+  try {
+    return git(["describe", "--tags", "--abbrev=0", revision]);
+  } catch {
+    return "";
+  }
+}
+
+// URL of a remote, or an empty string when it isn't configured
+export function getRemoteUrl(name = "origin") {
+  try {
+    return git(["remote", "get-url", name]);
+  } catch {
+    return "";
+  }
+}
+
+// Arguments are passed straight to git (no shell), so ranges, branch names
+// and dates such as "2 weeks ago" need no quoting
+function git(args, cwd) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf-8",
+    stdio: "pipe",
+    maxBuffer: 64 * 1024 * 1024,
+  }).trim();
+}
+
+// Refs from the command line end up in git's argv, where one starting with
+// "-" would be read as an option (--output=<file> writes anywhere)
+function checkRef(ref, name) {
+  if (ref.startsWith("-")) {
+    throw new Error(`Invalid ${name}: ${ref}. It can't start with "-"`);
+  }
+}
+
+function describeGitError(error) {
+  return (error.stderr || error.message).toString().trim();
+}
+
+// The hash of git's empty tree, used to diff from the very first commit
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// Full commit messages for a revision range, oldest first
+export function getCommitMessages(revisionArgs) {
+  const log = git(["log", "--reverse", "--format=%B%x00", ...revisionArgs]);
+
+  return log
+    .split("\0")
+    .map((message) => message.trim())
+    .filter(Boolean);
+}
+
+// Diff and commit messages for an "a..b" (or "a...b") range
+export function getRangeDiff(range) {
+  checkRef(range, "range");
+
+  // Refs may contain dots themselves (v1.2.0..v1.3.0), so split on the first
+  // "..." or ".." and leave checking the refs to git
+  const separator = range.includes("...") ? "..." : "..";
+  const [from, ...rest] = range.split(separator);
+  const to = rest.join(separator);
+  if (!from || !to || /\s/.test(range)) {
+    throw new Error(
+      `Invalid range: ${range}. Use the form <from>..<to>, e.g. v1.2.0..HEAD`,
+    );
+  }
+
+  try {
+    return {
+      diff: git(["diff", range]),
+      commits: getCommitMessages([range]),
+    };
+  } catch (error) {
+    throw new Error(`Invalid range ${range}: ${describeGitError(error)}`);
+  }
+}
+
+// Changes on a branch since it diverged from the base branch
+export function getBranchDiff(branch, baseBranch = "main") {
+  checkRef(branch, "branch");
+  checkRef(baseBranch, "base branch");
+
+  let mergeBase;
+  try {
+    mergeBase = git(["merge-base", baseBranch, branch]);
+  } catch (error) {
+    throw new Error(
+      `Could not find a merge-base between ${baseBranch} and ${branch}: ${describeGitError(error)}`,
+    );
+  }
+
+  return {
+    diff: git(["diff", mergeBase, branch]),
+    commits: getCommitMessages([`${mergeBase}..${branch}`]),
+  };
+}
+
+// Changes made by the commits on HEAD since a date git understands
+// ("2024-05-01", "2 weeks ago", ...)
+export function getSinceDiff(since) {
+  const sinceCommits = git(["rev-list", `--since=${since}`, "HEAD"]);
+  if (!sinceCommits) {
+    throw new Error(`No commits found since ${since}`);
+  }
+
+  // Diff from the last commit before the date, or from the empty tree when
+  // the history starts inside the window
+  const base =
+    git(["rev-list", "-1", `--before=${since}`, "HEAD"]) || EMPTY_TREE;
+
+  return {
+    diff: git(["diff", base, "HEAD"]),
+    commits: getCommitMessages([`--since=${since}`, "HEAD"]),
+  };
+}
+
+// rev-list arguments selecting the commits of --range, --branch or --since
+export function getRevisionArgs({ range, branch, baseBranch, since }) {
+  if (range) {
+    checkRef(range, "range");
+    return [range];
+  }
+
+  if (branch) {
+    checkRef(branch, "branch");
+    checkRef(baseBranch || "main", "base branch");
+
+    try {
+      return [
+        `${git(["merge-base", baseBranch || "main", branch])}..${branch}`,
+      ];
+    } catch (error) {
+      throw new Error(
+        `Could not find a merge-base between ${baseBranch || "main"} and ${branch}: ${describeGitError(error)}`,
+      );
+    }
+  }
+
+  if (since) return [`--since=${since}`, "HEAD"];
+
+  return null;
+}
+
+// Commits selected by rev-list arguments, oldest first
+export function listCommits(revisionArgs) {
+  try {
+    const output = git([
+      "log",
+      "--reverse",
+      "--format=%H%x1f%an%x1f%aI%x1f%B%x00",
+      ...revisionArgs,
+    ]);
+
+    return output
+      .split("\0")
+      .map((record) => record.trim())
+      .filter(Boolean)
+      .map((record) => {
+        const [hash, author, date, message] = record.split("\x1f");
+        return {
+          hash,
+          author,
+          date,
+          message: message.trim(),
+          subject: message.trim().split("\n")[0],
+        };
+      });
+  } catch (error) {
+    throw new Error(
+      `Could not list commits for ${revisionArgs.join(" ")}: ${describeGitError(error)}`,
+    );
+  }
+}
+
+// The changes a single commit introduced (against its first parent for merges)
+export function getCommitDiff(hash) {
+  return git([
+    "diff-tree",
+    "-p",
+    "--no-commit-id",
+    "--root",
+    "-m",
+    "--first-parent",
+    hash,
+  ]);
+}
+
+// Everything in progress: staged and unstaged changes to tracked files plus
+// untracked (non-ignored) files rendered as additions
+export function getWorktreeDiff() {
+  const root = getRepositoryRoot();
+
+  // Before the first commit there is no HEAD to compare against
+  let base = EMPTY_TREE;
+  try {
+    base = git(["rev-parse", "--verify", "--quiet", "HEAD"], root);
+  } catch {
+    // Unborn branch
+  }
+
+  const untracked = git(
+    ["ls-files", "--others", "--exclude-standard", "-z"],
+    root,
+  )
+    .split("\0")
+    .filter(Boolean);
+
+  return [
+    git(["diff", base], root),
+    ...untracked.map((file) => getUntrackedFileDiff(file, root)),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function getUntrackedFileDiff(file, root) {
+  // --no-index exits with 1 when the files differ, which they always do here
+  try {
+    return git(["diff", "--no-index", "--", "/dev/null", file], root);
+  } catch (error) {
+    if (error.status === 1) return error.stdout.trim();
+    throw new Error(
+      `Could not diff untracked file ${file}: ${describeGitError(error)}`,
+    );
+  }
+}
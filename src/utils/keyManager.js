@@ -1,6 +1,10 @@
 // src/utils/keyManager.js
 import { createInterface } from "readline";
-import { setApiKey, getSystemConfig } from "../config/systemConfig.js";
+import {
+  setApiKey,
+  setToken,
+  getSystemConfig,
+} from "../config/systemConfig.js";
 
 const API_PROVIDERS = {
   groq: {
@@ -23,6 +27,68 @@ const API_PROVIDERS = {
   },
 };
 
+// Issue trackers that --push can create tasks in
+export const INTEGRATIONS = {
+  github: {
+    name: "GitHub",
+    url: "https://github.com/settings/personal-access-tokens",
+    description: "Fine-grained token with Issues read & write access",
+    env: "GITHUB_TOKEN",
+  },
+  jira: {
+    name: "Jira",
+    url: "https://id.atlassian.com/manage-profile/security/api-tokens",
+    description: "API token of the account set in jira.email",
+    env: "JIRA_API_TOKEN",
+  },
+  gitlab: {
+    name: "GitLab",
+    url: "https://gitlab.com/-/user_settings/personal_access_tokens",
+    description: "Personal access token with the api scope",
+    env: "GITLAB_TOKEN",
+  },
+  "azure-devops": {
+    name: "Azure DevOps",
+    url: "https://dev.azure.com/_usersSettings/tokens",
+    description: "Personal access token with Work Items read & write scope",
+    env: "AZURE_DEVOPS_PAT",
+  },
+};
+
+export async function promptForToken(service) {
+  const integration = INTEGRATIONS[service];
+  if (!integration) {
+    throw new Error(
+      `Unknown integration: ${service}. Available integrations: ${Object.keys(INTEGRATIONS).join(", ")}`,
+    );
+  }
+
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  try {
+    console.log(`\n🔑 ${integration.name} Token Setup`);
+    console.log(`   ${integration.description}`);
+    console.log(`   Create one at: ${integration.url}`);
+    console.log(`   (or set ${integration.env} in the environment)\n`);
+
+    const token = await new Promise((resolve) => {
+      rl.question("Enter your token (or press Enter to skip): ", resolve);
+    });
+
+    if (token.trim()) {
+      setToken(service, token.trim());
+      return token.trim();
+    }
+
+    return null;
+  } finally {
+    rl.close();
+  }
+}
+
 export async function promptForApiKey(provider) {
   const rl = createInterface({
     input: process.stdin,
@@ -0,0 +1,132 @@
+// src/utils/markdown.js
+// Just enough Markdown for engine output (paragraphs, headings, bullet and
+// numbered lists, **bold** and `code`) to render it where HTML or Atlassian
+// Document Format is expected
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>");
+}
+
+// Parse text into blocks: { type: "heading", level, text },
+// { type: "paragraph", lines } or { type: "list", ordered, items }
+export function parseMarkdownBlocks(markdown = "") {
+  const blocks = [];
+  let current = null;
+
+  for (const rawLine of String(markdown).split("\n")) {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^[-*•]\s+(.*)$/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+
+    if (!line) {
+      current = null;
+    } else if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      current = null;
+    } else if (bullet || numbered) {
+      const ordered = Boolean(numbered);
+      if (current?.type !== "list" || current.ordered !== ordered) {
+        current = { type: "list", ordered, items: [] };
+        blocks.push(current);
+      }
+      current.items.push((bullet || numbered)[1]);
+    } else if (current?.type === "paragraph") {
+      current.lines.push(line);
+    } else {
+      current = { type: "paragraph", lines: [line] };
+      blocks.push(current);
+    }
+  }
+
+  return blocks;
+}
+
+export function markdownToHtml(markdown) {
+  return parseMarkdownBlocks(markdown)
+    .map((block) => {
+      if (block.type === "heading") {
+        return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+      }
+
+      if (block.type === "list") {
+        const tag = block.ordered ? "ol" : "ul";
+        const items = block.items
+          .map((item) => `<li>${renderInline(item)}</li>`)
+          .join("");
+        return `<${tag}>${items}</${tag}>`;
+      }
+
+      return `<p>${block.lines.map(renderInline).join("<br>")}</p>`;
+    })
+    .join("");
+}
+
+// ADF text nodes for a line, with strong and code marks
+function inlineToAdf(text) {
+  return text
+    .split(/(`[^`]+`|\*\*[^*]+\*\*)/)
+    .filter(Boolean)
+    .map((part) => {
+      if (/^`[^`]+`$/.test(part)) {
+        return {
+          type: "text",
+          text: part.slice(1, -1),
+          marks: [{ type: "code" }],
+        };
+      }
+      if (/^\*\*[^*]+\*\*$/.test(part)) {
+        return {
+          type: "text",
+          text: part.slice(2, -2),
+          marks: [{ type: "strong" }],
+        };
+      }
+      return { type: "text", text: part };
+    });
+}
+
+// ADF block nodes (the content of a "doc" node)
+export function markdownToAdf(markdown) {
+  return parseMarkdownBlocks(markdown).map((block) => {
+    if (block.type === "heading") {
+      return {
+        type: "heading",
+        attrs: { level: block.level },
+        content: inlineToAdf(block.text),
+      };
+    }
+
+    if (block.type === "list") {
+      return {
+        type: block.ordered ? "orderedList" : "bulletList",
+        content: block.items.map((item) => ({
+          type: "listItem",
+          content: [{ type: "paragraph", content: inlineToAdf(item) }],
+        })),
+      };
+    }
+
+    return {
+      type: "paragraph",
+      content: block.lines.flatMap((line, index) => [
+        ...(index > 0 ? [{ type: "hardBreak" }] : []),
+        ...inlineToAdf(line),
+      ]),
+    };
+  });
+}
@@ -0,0 +1,31 @@
+// src/utils/rateLimiter.js
+
+// Spaces requests evenly so that concurrent callers sharing one limiter stay
+// within requestsPerMinute between them. Without a limit acquire() resolves
+// immediately.
+export function createRateLimiter(requestsPerMinute) {
+  if (!requestsPerMinute) {
+    return { acquire: async () => {} };
+  }
+
+  if (!(requestsPerMinute > 0)) {
+    throw new Error(
+      `Invalid rate limit: ${requestsPerMinute}. Must be a positive number of requests per minute`,
+    );
+  }
+
+  const interval = 60000 / requestsPerMinute;
+  let nextSlot = 0;
+
+  return {
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+
+      if (slot > now) {
+        await new Promise((resolve) => setTimeout(resolve, slot - now));
+      }
+    },
+  };
+}
@@ -1,19 +1,24 @@
 // test/integration.test.js
 import { test, describe, beforeEach, afterEach } from "node:test";
 import assert from "node:assert";
-import { spawn } from "child_process";
-import { readFileSync, existsSync, mkdtempSync } from "fs";
+import { execFile, execSync, spawn, spawnSync } from "child_process";
+import { createServer } from "http";
+import { readFileSync, existsSync, mkdirSync, mkdtempSync, rmSync } from "fs";
 import { join } from "path";
 import { tmpdir } from "os";
-import { TestHelper } from "./setup.js";
+import { promisify } from "util";
+import { TestHelper, startMockServer } from "./setup.js";
 
 const CLI_PATH = join(process.cwd(), "bin/create-task.js");
+const PR_CLI_PATH = join(process.cwd(), "bin/create-pr.js");
+const COMMIT_CLI_PATH = join(process.cwd(), "bin/create-commit.js");
 
 async function runCli(args = [], options = {}) {
   return new Promise((resolve, reject) => {
-    const child = spawn("node", [CLI_PATH, ...args], {
+    const child = spawn("node", [options.cli || CLI_PATH, ...args], {
       stdio: "pipe",
       cwd: options.cwd || process.cwd(),
+      env: { ...process.env, ...options.env },
     });
 
     let stdout = "";
@@ -35,8 +40,8 @@ async function runCli(args = [], options = {}) {
       reject(err);
     });
 
-    // End stdin to prevent hanging on prompts
-    child.stdin.end();
+    // End stdin (after any piped input) to prevent hanging on prompts
+    child.stdin.end(options.input);
   });
 }
 
@@ -158,6 +163,659 @@ describe("Git Integration Tests", () => {
     // Success depends on API, but we check it didn't fail on git
     assert(!stderr.includes("No staged changes found"));
   });
+
+  test("should describe a commit range with its commit messages", async () => {
+    TestHelper.createTestDiff();
+    execSync("git checkout -q -b feature/greet", { cwd: TestHelper.tempDir });
+    execSync('git commit -qam "Greet by name"', { cwd: TestHelper.tempDir });
+
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content:
+            "TITLE: Greet by name\nSUMMARY: Adds a name parameter\nTECHNICAL: none",
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    try {
+      const { code, stdout } = await runCli(
+        ["--range", "HEAD~2..HEAD", "--engine", "local"],
+        { cwd: TestHelper.tempDir },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(stdout.includes("**Title**: Greet by name"));
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("- Add hello function\n- Greet by name"));
+      assert(prompt.includes("test-file.js"));
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+
+  test("should accept tag ranges with dots in both forms", async () => {
+    TestHelper.createTestDiff();
+    execSync("git tag v1.2.0 HEAD", { cwd: TestHelper.tempDir });
+    execSync('git commit -qam "Greet by name"', { cwd: TestHelper.tempDir });
+    execSync("git tag v1.3.0", { cwd: TestHelper.tempDir });
+
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content:
+            "TITLE: Greet by name\nSUMMARY: Adds a name parameter\nTECHNICAL: none",
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    try {
+      for (const range of ["v1.2.0..v1.3.0", "v1.2.0...HEAD"]) {
+        const { code, stderr } = await runCli(
+          ["--range", range, "--engine", "local"],
+          { cwd: TestHelper.tempDir },
+        );
+
+        assert.strictEqual(code, 0, stderr);
+      }
+
+      for (const request of server.requests) {
+        const prompt = request.body.messages[0].content;
+        assert(prompt.includes("- Greet by name"));
+        assert(!prompt.includes("- Add hello function"));
+      }
+      assert.strictEqual(server.requests.length, 2);
+
+      const { code, stderr } = await runCli(["--range", "v1.2.0.."], {
+        cwd: TestHelper.tempDir,
+      });
+      assert.notStrictEqual(code, 0);
+      assert(stderr.includes("Invalid range: v1.2.0.."));
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+
+  test("should reject refs that git would read as options", async () => {
+    const target = join(TestHelper.tempDir, "leak.txt");
+
+    for (const args of [
+      [`--range=--output=${target}`],
+      [`--range=--output=${target}`, "--per-commit", "--output", "json"],
+      [`--branch=--output=${target}`],
+    ]) {
+      const { code, stderr } = await runCli(args, { cwd: TestHelper.tempDir });
+
+      assert.strictEqual(code, 1);
+      assert(stderr.includes(`--output=${target}. It can't start with "-"`));
+    }
+    assert(!existsSync(target));
+  });
+
+  test("should generate one task per commit and resume", async () => {
+    TestHelper.createTestDiff();
+    execSync('git commit -qam "Greet by name"', { cwd: TestHelper.tempDir });
+
+    const server = await startMockServer((request, body) => ({
+      json: {
+        message: {
+          content: `TITLE: ${body.messages[0].content.includes("Greet by name") ? "Greet by name" : "Add hello"}\nSUMMARY: Summary\nTECHNICAL: none`,
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    const args = [
+      "--range",
+      "HEAD~2..HEAD",
+      "--per-commit",
+      "--output",
+      "json",
+      "--file",
+      "tasks.json",
+      "--engine",
+      "local",
+    ];
+
+    try {
+      const first = await runCli(args, { cwd: TestHelper.tempDir });
+      assert.strictEqual(first.code, 0);
+      assert.strictEqual(server.requests.length, 2);
+
+      const tasks = JSON.parse(
+        readFileSync(join(TestHelper.tempDir, "tasks.json"), "utf-8"),
+      );
+      assert.deepStrictEqual(
+        tasks.map((task) => [task.subject, task.title]),
+        [
+          ["Add hello function", "Add hello"],
+          ["Greet by name", "Greet by name"],
+        ],
+      );
+      assert(tasks[0].metadata.diffSource.startsWith("commit:"));
+
+      const resumed = await runCli([...args, "--resume"], {
+        cwd: TestHelper.tempDir,
+      });
+      assert.strictEqual(resumed.code, 0);
+      assert(resumed.stderr.includes("Skipping 2 already processed commits"));
+      assert.strictEqual(server.requests.length, 2);
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+
+  test("should combine staged, unstaged and untracked files", async () => {
+    TestHelper.createTestDiff();
+    TestHelper.createTempFile("staged.js", "export const staged = true;\n");
+    execSync("git add staged.js", { cwd: TestHelper.tempDir });
+    TestHelper.createTempFile("untracked.js", "export const fresh = 1;\n");
+    TestHelper.createTempFile(".gitignore", "ignored.log\n");
+    TestHelper.createTempFile("ignored.log", "noise\n");
+
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content: "TITLE: Work in progress\nSUMMARY: Summary\nTECHNICAL: none",
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    try {
+      const { code } = await runCli(["--worktree", "--engine", "local"], {
+        cwd: TestHelper.tempDir,
+      });
+
+      assert.strictEqual(code, 0);
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("diff --git a/staged.js b/staged.js"));
+      assert(prompt.includes("diff --git a/test-file.js b/test-file.js"));
+      assert(prompt.includes("+export const fresh = 1;"));
+      assert(prompt.includes("+ignored.log"));
+      assert(!prompt.includes("+noise"));
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+
+  test("should push the task to Azure DevOps", async () => {
+    TestHelper.createTestDiff();
+
+    const server = await startMockServer((request) =>
+      request.url.startsWith("/api/chat")
+        ? {
+            json: {
+              message: {
+                content:
+                  "TITLE: Greet by name\nSUMMARY: Summary\nTECHNICAL: none",
+              },
+            },
+          }
+        : { json: { id: 7 } },
+    );
+    const env = {
+      LOCAL_MODEL_ENDPOINT: server.url,
+      AZURE_DEVOPS_BASE_URL: server.url,
+      AZURE_DEVOPS_ORG: "contoso",
+      AZURE_DEVOPS_PROJECT: "Web",
+      AZURE_DEVOPS_PAT: "secret",
+    };
+    Object.assign(process.env, env);
+
+    try {
+      const { code, stderr } = await runCli(
+        [
+          "--engine",
+          "local",
+          "--output",
+          "json",
+          "--push",
+          "azure-devops",
+          "--file",
+          "task.json",
+        ],
+        { cwd: TestHelper.tempDir },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(stderr.includes("Created Azure DevOps work item #7"));
+
+      const task = JSON.parse(
+        readFileSync(join(TestHelper.tempDir, "task.json"), "utf-8"),
+      );
+      assert.deepStrictEqual(task.pushed, {
+        target: "azure-devops",
+        id: 7,
+        url: `${server.url}/contoso/Web/_workitems/edit/7`,
+      });
+      assert.strictEqual(
+        server.requests[1].url,
+        "/contoso/Web/_apis/wit/workitems/$Task?api-version=7.1",
+      );
+    } finally {
+      for (const name of Object.keys(env)) delete process.env[name];
+      await server.close();
+    }
+  });
+
+  test("should push to Azure DevOps with a PAT stored by setup", async () => {
+    TestHelper.createTestDiff();
+
+    const home = mkdtempSync(join(tmpdir(), "taskfoundry-home-"));
+    const server = await startMockServer((request) =>
+      request.url.startsWith("/api/chat")
+        ? {
+            json: {
+              message: {
+                content:
+                  "TITLE: Greet by name\nSUMMARY: Summary\nTECHNICAL: none",
+              },
+            },
+          }
+        : { json: { id: 7 } },
+    );
+    const env = {
+      HOME: home,
+      LOCAL_MODEL_ENDPOINT: server.url,
+      AZURE_DEVOPS_BASE_URL: server.url,
+      AZURE_DEVOPS_ORG: "contoso",
+      AZURE_DEVOPS_PROJECT: "Web",
+      AZURE_DEVOPS_PAT: "",
+    };
+
+    try {
+      const setup = await runCli(["setup", "--integration", "azure-devops"], {
+        cwd: TestHelper.tempDir,
+        input: "stored-pat\n",
+        env,
+      });
+      assert.strictEqual(setup.code, 0);
+      assert(setup.stdout.includes("azure-devops token saved system-wide"));
+
+      const { code } = await runCli(
+        ["--engine", "local", "--push", "azure-devops"],
+        { cwd: TestHelper.tempDir, env },
+      );
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        server.requests[1].headers.authorization,
+        `Basic ${Buffer.from(":stored-pat").toString("base64")}`,
+      );
+    } finally {
+      await server.close();
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  test("should push a GitHub issue and link it in JSON output", async () => {
+    TestHelper.createTestDiff();
+
+    const server = await startMockServer((request) =>
+      request.url.startsWith("/api/chat")
+        ? {
+            json: {
+              message: {
+                content:
+                  "TITLE: Greet by name\nSUMMARY: Summary\nTECHNICAL: none",
+              },
+            },
+          }
+        : {
+            status: 201,
+            json: {
+              number: 5,
+              html_url: "https://github.com/acme/web/issues/5",
+            },
+          },
+    );
+    const env = {
+      LOCAL_MODEL_ENDPOINT: server.url,
+      GITHUB_API_URL: server.url,
+      GITHUB_REPOSITORY: "acme/web",
+      GITHUB_TOKEN: "secret",
+    };
+    Object.assign(process.env, env);
+
+    try {
+      const { code, stdout, stderr } = await runCli(
+        ["--engine", "local", "--output", "json", "--push", "github"],
+        { cwd: TestHelper.tempDir },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(
+        stderr.includes(
+          "Created GitHub issue #5: https://github.com/acme/web/issues/5",
+        ),
+      );
+      assert(stdout.includes('"target": "github"'));
+      assert(!stdout.includes("Created GitHub issue"));
+      assert.strictEqual(server.requests[1].url, "/repos/acme/web/issues");
+      assert.strictEqual(server.requests[1].body.title, "Greet by name");
+    } finally {
+      for (const name of Object.keys(env)) delete process.env[name];
+      await server.close();
+    }
+  });
+
+  test("should report dates without commits for --since", async () => {
+    const { code, stderr } = await runCli(
+      ["--since", "2090-01-01", "--engine", "local"],
+      { cwd: TestHelper.tempDir },
+    );
+
+    assert.strictEqual(code, 1);
+    assert(stderr.includes("No commits found since 2090-01-01"));
+  });
+
+  test("should reject combined diff modes", async () => {
+    const { stderr } = await runCli(["--staged", "--range", "HEAD~1..HEAD"], {
+      cwd: TestHelper.tempDir,
+    });
+
+    assert(stderr.includes("Use only one of --staged, --range"));
+  });
+});
+
+describe("Diff Input Integration Tests", () => {
+  const patch = `From 1a2b3c4d Mon Sep 17 00:00:00 2001
+From: Test User <test@example.com>
+Subject: [PATCH] Greet by name
+
+---
+ greet.js | 2 +-
+ 1 file changed, 1 insertion(+), 1 deletion(-)
+
+diff --git a/greet.js b/greet.js
+--- a/greet.js
++++ b/greet.js
+@@ -1 +1 @@
+-hello
++hello name
+-- 
+2.43.0
+`;
+
+  let server;
+
+  beforeEach(async () => {
+    // A directory that is not a git repository
+    TestHelper.tempDir = mkdtempSync(join(tmpdir(), "taskfoundry-patch-"));
+    server = await startMockServer(() => ({
+      json: {
+        message: {
+          content: "TITLE: Greet by name\nSUMMARY: Summary\nTECHNICAL: none",
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+  });
+
+  afterEach(async () => {
+    delete process.env.LOCAL_MODEL_ENDPOINT;
+    await server.close();
+    TestHelper.cleanup();
+  });
+
+  test("should read a format-patch file outside a repository", async () => {
+    TestHelper.createTempFile("greet.patch", patch);
+
+    const { code, stdout } = await runCli(
+      ["--diff-file", "greet.patch", "--engine", "local"],
+      { cwd: TestHelper.tempDir },
+    );
+
+    assert.strictEqual(code, 0);
+    assert(stdout.includes("**Title**: Greet by name"));
+
+    const prompt = server.requests[0].body.messages[0].content;
+    assert(prompt.includes("- Greet by name"));
+    assert(prompt.includes("+hello name"));
+    assert(!prompt.includes("2.43.0"));
+  });
+
+  test("should read a diff from stdin", async () => {
+    const { code } = await runCli(["--stdin", "--engine", "local"], {
+      cwd: TestHelper.tempDir,
+      input: patch,
+    });
+
+    assert.strictEqual(code, 0);
+    assert(server.requests[0].body.messages[0].content.includes("greet.js"));
+  });
+
+  test("should drop the mail headers between concatenated patches", async () => {
+    const second = `From 5e6f7a8b Mon Sep 17 00:00:00 2001
+From: Other User <other@example.com>
+Date: Tue, 2 Jan 2024 10:00:00 +0000
+Subject: [PATCH 2/2] Add a farewell
+
+---
+ bye.js | 1 +
+ 1 file changed, 1 insertion(+)
+
+diff --git a/bye.js b/bye.js
+--- a/bye.js
++++ b/bye.js
+@@ -0,0 +1 @@
++bye
+-- 
+2.43.0
+`;
+    TestHelper.createTempFile("series.patch", patch + second);
+
+    const { code } = await runCli(
+      ["--diff-file", "series.patch", "--engine", "local"],
+      { cwd: TestHelper.tempDir },
+    );
+
+    assert.strictEqual(code, 0);
+    const prompt = server.requests[0].body.messages[0].content;
+    assert(prompt.includes("- Greet by name"));
+    assert(prompt.includes("- Add a farewell"));
+    assert(prompt.includes("+hello name"));
+    assert(prompt.includes("+bye"));
+    assert(!prompt.includes("From:"));
+    assert(!prompt.includes("Date:"));
+    assert(!prompt.includes("5e6f7a8b"));
+    assert(!prompt.includes("2.43.0"));
+  });
+
+  test("should report missing patch files", async () => {
+    const { code, stderr } = await runCli(["--diff-file", "missing.patch"], {
+      cwd: TestHelper.tempDir,
+    });
+
+    assert.strictEqual(code, 1);
+    assert(stderr.includes("Diff file not found: missing.patch"));
+  });
+
+  test("should reject --per-commit with a patch file or stdin", async () => {
+    TestHelper.createTempFile("greet.patch", patch);
+
+    const fromFile = await runCli(
+      ["--diff-file", "greet.patch", "--per-commit"],
+      {
+        cwd: TestHelper.tempDir,
+      },
+    );
+    assert.strictEqual(fromFile.code, 1);
+    assert(
+      fromFile.stderr.includes("--per-commit can't be used with --diff-file"),
+    );
+
+    const fromStdin = await runCli(["--stdin", "--per-commit"], {
+      cwd: TestHelper.tempDir,
+      input: patch,
+    });
+    assert.strictEqual(fromStdin.code, 1);
+    assert(
+      fromStdin.stderr.includes("--per-commit can't be used with --stdin"),
+    );
+    assert.strictEqual(server.requests.length, 0);
+  });
+});
+
+describe("Pull Request Integration Tests", () => {
+  let baseBranch;
+
+  beforeEach(() => {
+    TestHelper.createTestRepo();
+    baseBranch = execSync("git rev-parse --abbrev-ref HEAD", {
+      cwd: TestHelper.tempDir,
+      encoding: "utf-8",
+    }).trim();
+
+    TestHelper.createTestDiff();
+    execSync("git checkout -q -b feature/greet", { cwd: TestHelper.tempDir });
+    execSync('git commit -qam "Greet by name"', { cwd: TestHelper.tempDir });
+  });
+
+  afterEach(() => {
+    TestHelper.cleanup();
+  });
+
+  const engineReply = {
+    json: {
+      message: {
+        content:
+          "TITLE: Greet by name\nSUMMARY: ## Description\nAdds a name parameter.\n## Testing\nRun the greeter.\nTECHNICAL: none",
+      },
+    },
+  };
+
+  test("should fill in the repository's pull request template", async () => {
+    mkdirSync(join(TestHelper.tempDir, ".github"));
+    TestHelper.createTempFile(
+      ".github/pull_request_template.md",
+      "## Description\n<!-- What and why -->\n\n## Testing\n",
+    );
+
+    const server = await startMockServer(() => engineReply);
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    try {
+      const { code, stdout } = await runCli(
+        ["--engine", "local", "--base-branch", baseBranch],
+        { cwd: TestHelper.tempDir, cli: PR_CLI_PATH },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(
+        stdout.includes(
+          "# Greet by name\n\n## Description\n\nAdds a name parameter.\n\n## Testing\n\nRun the greeter.",
+        ),
+      );
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("- Description: What and why\n- Testing"));
+      assert(prompt.includes("- Greet by name"));
+      assert(prompt.includes("diff --git a/test-file.js b/test-file.js"));
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+
+  test("should ignore the project's task output format", async () => {
+    TestHelper.createTempFile(
+      ".taskfoundry.json",
+      JSON.stringify({ output: "github" }),
+    );
+
+    const server = await startMockServer(() => engineReply);
+
+    try {
+      const { code, stdout } = await runCli(
+        ["--engine", "local", "--base-branch", baseBranch],
+        {
+          cwd: TestHelper.tempDir,
+          cli: PR_CLI_PATH,
+          env: { LOCAL_MODEL_ENDPOINT: server.url },
+        },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(stdout.includes("# Greet by name"));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("should open the pull request through the GitHub API", async () => {
+    const server = await startMockServer((request) => {
+      if (request.url.startsWith("/api/chat")) return engineReply;
+      if (request.method === "GET") return { json: [] };
+      return {
+        status: 201,
+        json: { number: 9, html_url: "https://github.com/acme/web/pull/9" },
+      };
+    });
+    const env = {
+      LOCAL_MODEL_ENDPOINT: server.url,
+      GITHUB_API_URL: server.url,
+      GITHUB_REPOSITORY: "acme/web",
+      GITHUB_TOKEN: "secret",
+    };
+    Object.assign(process.env, env);
+
+    try {
+      const { code, stdout, stderr } = await runCli(
+        [
+          "--engine",
+          "local",
+          "--base-branch",
+          baseBranch,
+          "--output",
+          "json",
+          "--submit",
+        ],
+        { cwd: TestHelper.tempDir, cli: PR_CLI_PATH },
+      );
+
+      assert.strictEqual(code, 0);
+      assert(stderr.includes("Created pull request #9"));
+      assert(!stdout.includes("Created pull request"));
+      assert.strictEqual(
+        server.requests[1].url,
+        "/repos/acme/web/pulls?state=open&head=acme%3Afeature%2Fgreet",
+      );
+      assert.deepStrictEqual(
+        {
+          head: server.requests[2].body.head,
+          base: server.requests[2].body.base,
+          title: server.requests[2].body.title,
+        },
+        { head: "feature/greet", base: baseBranch, title: "Greet by name" },
+      );
+      assert(stdout.includes('"url": "https://github.com/acme/web/pull/9"'));
+    } finally {
+      for (const name of Object.keys(env)) delete process.env[name];
+      await server.close();
+    }
+  });
+
+  test("should refuse to describe the base branch itself", async () => {
+    execSync(`git checkout -q ${baseBranch}`, { cwd: TestHelper.tempDir });
+
+    const { code, stderr } = await runCli(
+      ["--engine", "local", "--base-branch", baseBranch],
+      { cwd: TestHelper.tempDir, cli: PR_CLI_PATH },
+    );
+
+    assert.notStrictEqual(code, 0);
+    assert(stderr.includes(`${baseBranch} is the base branch`));
+  });
 });
 
 describe("Configuration Integration Tests", () => {
@@ -238,3 +896,560 @@ describe("Error Handling Integration Tests", () => {
     assert(stdout.includes('"engine": "auto"'));
   });
 });
+
+describe("Changelog Integration Tests", () => {
+  beforeEach(() => {
+    TestHelper.createTestRepo();
+    execSync("git tag v0.1.0", { cwd: TestHelper.tempDir });
+
+    for (const message of [
+      "feat(cli): add --json flag",
+      "fix: trim trailing whitespace",
+      "feat!: rename the config file\n\nBREAKING CHANGE: use .toolrc instead of .tool.json",
+    ]) {
+      execSync(`git commit -q --allow-empty -F -`, {
+        cwd: TestHelper.tempDir,
+        input: message,
+      });
+    }
+  });
+
+  afterEach(() => {
+    TestHelper.cleanup();
+  });
+
+  test("should group the commits since the latest tag", async () => {
+    const { code } = await runCli(
+      [
+        "changelog",
+        "--release",
+        "v0.2.0",
+        "--output",
+        "json",
+        "--file",
+        "changelog.json",
+      ],
+      { cwd: TestHelper.tempDir },
+    );
+
+    assert.strictEqual(code, 0);
+
+    const changelog = JSON.parse(
+      readFileSync(join(TestHelper.tempDir, "changelog.json"), "utf-8"),
+    );
+    assert.strictEqual(changelog.version, "v0.2.0");
+    assert.strictEqual(changelog.from, "v0.1.0");
+    assert.deepStrictEqual(
+      changelog.breaking.map((entry) => entry.breakingDescription),
+      ["use .toolrc instead of .tool.json"],
+    );
+    assert.deepStrictEqual(
+      changelog.sections.map((section) => section.title),
+      ["Features", "Bug Fixes"],
+    );
+  });
+
+  test("should add an engine summary and prepend to CHANGELOG.md", async () => {
+    TestHelper.createTempFile("CHANGELOG.md", "# Changelog\n\n## v0.1.0\n");
+
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content:
+            "TITLE: Config rename\nSUMMARY: The config file has a new name.\nTECHNICAL: Rename .tool.json",
+        },
+      },
+    }));
+    process.env.LOCAL_MODEL_ENDPOINT = server.url;
+
+    try {
+      const { code } = await runCli(
+        [
+          "changelog",
+          "--summary",
+          "--engine",
+          "local",
+          "--prepend",
+          "CHANGELOG.md",
+        ],
+        { cwd: TestHelper.tempDir },
+      );
+
+      assert.strictEqual(code, 0);
+
+      const changelog = readFileSync(
+        join(TestHelper.tempDir, "CHANGELOG.md"),
+        "utf-8",
+      );
+      assert(changelog.startsWith("# Changelog\n\n## Unreleased ("));
+      assert(changelog.includes("The config file has a new name."));
+      assert(changelog.includes("- **cli:** add --json flag ("));
+      assert(changelog.endsWith("\n\n## v0.1.0\n"));
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("### Bug Fixes"));
+    } finally {
+      delete process.env.LOCAL_MODEL_ENDPOINT;
+      await server.close();
+    }
+  });
+});
+
+describe("Commit Integration Tests", () => {
+  let server;
+  let replies;
+  // Keeps the learned commit styles out of the real ~/.taskfoundry
+  let home;
+
+  beforeEach(async () => {
+    home = mkdtempSync(join(tmpdir(), "taskfoundry-home-"));
+    TestHelper.createTestRepo();
+    TestHelper.createTestDiff();
+    execSync("git add .", { cwd: TestHelper.tempDir });
+
+    replies = [
+      "TYPE: feat\nSCOPE: none\nDESCRIPTION: add greeting\nBODY: Says hello.\nBREAKING: none",
+      "TYPE: feat\nSCOPE: none\nDESCRIPTION: add a greeting function\nBODY: none\nBREAKING: none",
+    ];
+    server = await startMockServer(() => ({
+      json: { message: { content: replies.shift() } },
+    }));
+  });
+
+  afterEach(async () => {
+    await server.close();
+    TestHelper.cleanup();
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  const run = (args, options = {}) =>
+    runCli(["--engine", "local", ...args], {
+      cwd: TestHelper.tempDir,
+      cli: COMMIT_CLI_PATH,
+      ...options,
+      env: { LOCAL_MODEL_ENDPOINT: server.url, HOME: home, ...options.env },
+    });
+
+  const lastCommit = () =>
+    execSync("git log -1 --format=%B", {
+      cwd: TestHelper.tempDir,
+      encoding: "utf-8",
+    }).trim();
+
+  test("should commit the generated message with --commit", async () => {
+    const { code } = await run(["--commit"]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(lastCommit(), "feat: add greeting\n\nSays hello.");
+  });
+
+  test("should keep --type and --breaking with structured output", async () => {
+    const groq = await startMockServer(() => ({
+      json: {
+        choices: [
+          {
+            message: {
+              content: JSON.stringify({
+                type: "feat",
+                scope: "",
+                description: "add greeting",
+                body: "",
+                breaking: false,
+                breakingDescription: "",
+              }),
+            },
+          },
+        ],
+      },
+    }));
+
+    try {
+      const { code } = await run(
+        ["--engine", "groq", "--type", "fix", "--breaking", "--commit"],
+        {
+          env: {
+            GROQ_API_KEY: "gsk_test",
+            GROQ_BASE_URL: `${groq.url}/openai/v1/chat/completions`,
+          },
+        },
+      );
+
+      assert.strictEqual(code, 0);
+      assert.deepStrictEqual(groq.requests[0].body.response_format, {
+        type: "json_object",
+      });
+      assert(lastCommit().startsWith("fix!: add greeting"));
+    } finally {
+      await groq.close();
+    }
+  });
+
+  test("should change the type and scope before committing", async () => {
+    const { code } = await run(["-i"], { input: "t\nfix\ns\ncore\na\n" });
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(lastCommit(), "fix(core): add greeting\n\nSays hello.");
+  });
+
+  test("should regenerate and abort without committing", async () => {
+    const before = lastCommit();
+    const { code, stdout } = await run(["-i"], { input: "r\nq\n" });
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(server.requests.length, 2);
+    assert(stdout.includes("feat: add a greeting function"));
+    assert(stdout.includes("Commit aborted"));
+    assert.strictEqual(lastCommit(), before);
+  });
+
+  test("should output ranked candidates as JSON", async () => {
+    const { code } = await run([
+      "--candidates",
+      "2",
+      "--output",
+      "json",
+      "--file",
+      "commit.json",
+    ]);
+
+    assert.strictEqual(code, 0);
+
+    const commit = JSON.parse(
+      readFileSync(join(TestHelper.tempDir, "commit.json"), "utf-8"),
+    );
+    assert.strictEqual(server.requests.length, 2);
+    assert.strictEqual(commit.message, commit.candidates[0].message);
+    assert.deepStrictEqual(
+      commit.candidates.map((candidate) => candidate.score).sort(),
+      [100, 100],
+    );
+    assert(
+      commit.candidates.every((candidate) => candidate.problems.length === 0),
+    );
+  });
+
+  test("should commit the candidate picked interactively", async () => {
+    // The past tense costs points, so this reply always ranks second
+    replies[0] = replies[0].replace("add greeting", "added greeting");
+
+    const { code, stdout } = await run(["-i", "--candidates", "2"], {
+      input: "2\na\n",
+    });
+
+    assert.strictEqual(code, 0);
+    assert(stdout.includes("1. [score 100]\nfeat: add a greeting function"));
+    assert.strictEqual(lastCommit(), "feat: added greeting\n\nSays hello.");
+  });
+
+  test("should commit the message edited in the editor", async () => {
+    const { code } = await run(["-i"], {
+      input: "e\na\n",
+      env: { GIT_EDITOR: "sed -i 's/^feat: add greeting/docs: greet users/'" },
+    });
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(lastCommit(), "docs: greet users\n\nSays hello.");
+  });
+
+  test("should show the engine the repository's commit style", async () => {
+    const { code } = await run(["--commit"]);
+    assert.strictEqual(code, 0);
+
+    const prompt = server.requests[0].body.messages[0].content;
+    assert(
+      prompt.includes(
+        "Recent commit headers from this repository:\n- Add hello function\n- Initial commit",
+      ),
+    );
+    assert(prompt.includes("Start the description with a capital letter"));
+
+    const styles = JSON.parse(
+      readFileSync(join(home, ".taskfoundry", "commit-styles.json"), "utf-8"),
+    );
+    const [entry] = Object.values(styles);
+    assert.strictEqual(entry.profile.sampled, 2);
+
+    // The cached profile is used until it is refreshed
+    const { stdout } = await run(["style"]);
+    assert(stdout.includes("learned from the last 2 commits"));
+    const refreshed = await run(["style", "--refresh", "--output", "json"]);
+    assert(refreshed.stdout.includes('"sampled": 3'));
+  });
+
+  test("should take the scope from the scopes map", async () => {
+    TestHelper.createTempFile(
+      ".taskfoundry.json",
+      JSON.stringify({ scopes: { "*.js": "greet" } }),
+    );
+    replies[0] = replies[0].replace("SCOPE: none", "SCOPE: hello");
+
+    const { code } = await run(["--commit"]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      lastCommit(),
+      "feat(greet): add greeting\n\nSays hello.",
+    );
+    const prompt = server.requests[0].body.messages[0].content;
+    assert(prompt.includes('Use the scope "greet".'));
+  });
+
+  test("should leave the commit style out with --no-style", async () => {
+    const { code } = await run(["--no-style"]);
+
+    assert.strictEqual(code, 0);
+    const prompt = server.requests[0].body.messages[0].content;
+    assert(!prompt.includes("Recent commit headers"));
+  });
+
+  describe("--split", () => {
+    const git = (command) =>
+      execSync(`git ${command}`, {
+        cwd: TestHelper.tempDir,
+        encoding: "utf-8",
+      }).trim();
+
+    beforeEach(() => {
+      TestHelper.createTempFile("NOTES.md", "# Notes\n");
+      git("add NOTES.md");
+      replies[0] =
+        "TITLE: Code and notes\nSUMMARY:\nH2 => feat: add goodbye\nH1 => docs: start the notes\nTECHNICAL: none";
+    });
+
+    test("should preview the plan without committing", async () => {
+      const before = git("write-tree");
+      const { code, stdout } = await run(["--split"]);
+
+      assert.strictEqual(code, 0);
+      assert(stdout.includes("1. feat: add goodbye\n   H2 test-file.js"));
+      assert(stdout.includes("2. docs: start the notes\n   H1 NOTES.md"));
+      assert(stdout.includes("Nothing was committed"));
+      assert.strictEqual(git("write-tree"), before);
+      assert.strictEqual(lastCommit(), "Add hello function");
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("### H1 NOTES.md (new file)"));
+    });
+
+    test("should make one commit per group with --commit", async () => {
+      const staged = git("write-tree");
+      const { code } = await run(["--split", "--commit"]);
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        git("log -3 --format=%s"),
+        "docs: start the notes\nfeat: add goodbye\nAdd hello function",
+      );
+      assert.strictEqual(git("rev-parse HEAD^{tree}"), staged);
+      assert.strictEqual(git("status --porcelain"), "");
+    });
+  });
+});
+
+describe("Commit Hook Integration Tests", () => {
+  // Hooks are run with the user's git settings, minus any that disable them
+  const env = { ...process.env, GIT_CONFIG_COUNT: "0", GIT_EDITOR: "true" };
+  const git = (command, extraEnv = {}) =>
+    execSync(`git ${command}`, {
+      cwd: TestHelper.tempDir,
+      encoding: "utf-8",
+      stdio: "pipe",
+      env: { ...env, ...extraEnv },
+    }).trim();
+  const commitAsync = (args, extraEnv = {}) =>
+    promisify(execFile)("git", ["commit", "-q", ...args], {
+      cwd: TestHelper.tempDir,
+      env: { ...env, ...extraEnv },
+    });
+  const hookCli = (args) =>
+    runCli(["hook", ...args], {
+      cwd: TestHelper.tempDir,
+      cli: COMMIT_CLI_PATH,
+      env,
+    });
+
+  beforeEach(() => {
+    TestHelper.createTestRepo();
+    TestHelper.createTestDiff();
+    git("add test-file.js");
+  });
+
+  afterEach(() => {
+    TestHelper.cleanup();
+  });
+
+  test("should pre-fill a plain git commit but not git commit -m", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content:
+            "TYPE: feat\nSCOPE: greet\nDESCRIPTION: add a name parameter\nBODY: none\nBREAKING: none",
+        },
+      },
+    }));
+
+    TestHelper.createTempFile(
+      ".taskfoundry.json",
+      JSON.stringify({ engine: "local" }),
+    );
+
+    try {
+      const { code } = await hookCli(["install"]);
+      assert.strictEqual(code, 0);
+
+      // Async, so the mock server in this process can answer the hook
+      await commitAsync([], { LOCAL_MODEL_ENDPOINT: server.url });
+      assert.strictEqual(
+        git("log -1 --format=%B"),
+        "feat(greet): add a name parameter",
+      );
+
+      TestHelper.createTempFile("other.js", "export {};\n");
+      git("add other.js");
+      await commitAsync(["-m", "Add other"], {
+        LOCAL_MODEL_ENDPOINT: server.url,
+      });
+      assert.strictEqual(git("log -1 --format=%B"), "Add other");
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("should not block the commit when the engine hangs", async () => {
+    const server = createServer(() => {});
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    TestHelper.createTempFile(
+      ".taskfoundry.json",
+      JSON.stringify({ engine: "local", hook: { timeout: 1 } }),
+    );
+
+    try {
+      await hookCli(["install"]);
+
+      const result = spawnSync("git", ["commit", "-q"], {
+        cwd: TestHelper.tempDir,
+        encoding: "utf-8",
+        env: {
+          ...env,
+          LOCAL_MODEL_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+          GIT_EDITOR: "echo 'Write it by hand' >",
+        },
+        timeout: 30000,
+      });
+
+      assert.strictEqual(result.status, 0);
+      assert(result.stderr.includes("timed out after 1s"));
+      assert.strictEqual(git("log -1 --format=%B"), "Write it by hand");
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("should install into core.hooksPath and keep foreign hooks", async () => {
+    git("config core.hooksPath .githooks");
+    mkdirSync(join(TestHelper.tempDir, ".githooks"));
+    TestHelper.createTempFile(
+      ".githooks/prepare-commit-msg",
+      "#!/bin/sh\nexit 0\n",
+    );
+
+    const refused = await hookCli(["install"]);
+    assert.notStrictEqual(refused.code, 0);
+    assert(refused.stderr.includes("not installed by taskfoundry"));
+
+    const forced = await hookCli(["install", "--force"]);
+    assert.strictEqual(forced.code, 0);
+    assert(
+      readFileSync(
+        join(TestHelper.tempDir, ".githooks/prepare-commit-msg"),
+        "utf-8",
+      ).includes("hook run prepare-commit-msg"),
+    );
+
+    const removed = await hookCli(["uninstall"]);
+    assert.strictEqual(removed.code, 0);
+    assert(
+      !existsSync(join(TestHelper.tempDir, ".githooks/prepare-commit-msg")),
+    );
+  });
+});
+
+describe("Commit Lint Integration Tests", () => {
+  const env = { ...process.env, GIT_CONFIG_COUNT: "0" };
+  const lintCli = (args, options = {}) =>
+    runCli(args, { cwd: TestHelper.tempDir, cli: COMMIT_CLI_PATH, ...options });
+
+  beforeEach(() => {
+    TestHelper.createTestRepo();
+  });
+
+  afterEach(() => {
+    TestHelper.cleanup();
+  });
+
+  test("should lint the commits in a range", async () => {
+    execSync('git commit -q --allow-empty -m "feat: add search"', {
+      cwd: TestHelper.tempDir,
+    });
+    execSync('git commit -q --allow-empty -m "fixed the parser"', {
+      cwd: TestHelper.tempDir,
+    });
+
+    const { code, stdout } = await lintCli(["lint", "--range", "HEAD~2..HEAD"]);
+
+    assert.strictEqual(code, 1);
+    assert(stdout.includes("fixed the parser\n  ✖ line 1:"));
+    assert(!stdout.includes("feat: add search"));
+  });
+
+  test("should reject a failing message in the commit-msg hook", async () => {
+    await lintCli(["hook", "install", "commit-msg"], { env });
+
+    const rejected = spawnSync(
+      "git",
+      ["commit", "-q", "--allow-empty", "-m", "WIP stuff"],
+      { cwd: TestHelper.tempDir, encoding: "utf-8", env },
+    );
+    assert.notStrictEqual(rejected.status, 0);
+    assert(rejected.stderr.includes("[header]"));
+
+    const accepted = spawnSync(
+      "git",
+      ["commit", "-q", "--allow-empty", "-m", "chore: start the project"],
+      { cwd: TestHelper.tempDir, encoding: "utf-8", env },
+    );
+    assert.strictEqual(accepted.status, 0);
+  });
+
+  test("should repair a message file with --fix", async () => {
+    TestHelper.createTempFile("message.txt", "Fixed the parser\n");
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content:
+            "TYPE: fix\nSCOPE: parser\nDESCRIPTION: handle empty input\nBODY: none\nBREAKING: none",
+        },
+      },
+    }));
+
+    try {
+      const { code } = await lintCli(
+        ["lint", "message.txt", "--fix", "--engine", "local"],
+        { env: { LOCAL_MODEL_ENDPOINT: server.url } },
+      );
+
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        readFileSync(join(TestHelper.tempDir, "message.txt"), "utf-8"),
+        "fix(parser): handle empty input\n",
+      );
+
+      const prompt = server.requests[0].body.messages[0].content;
+      assert(prompt.includes("Draft message:\n```\nFixed the parser\n```"));
+    } finally {
+      await server.close();
+    }
+  });
+});
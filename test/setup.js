@@ -1,5 +1,6 @@
 import { beforeEach, afterEach } from "node:test";
 import { execSync } from "child_process";
+import { createServer } from "http";
 import { writeFileSync, existsSync, mkdtempSync, rmSync, unlinkSync } from "fs";
 import { join } from "path";
 import { tmpdir } from "os";
@@ -114,6 +115,39 @@ export { hello, goodbye };
   }
 }
 
+// Start a local HTTP server that records requests and answers with handler(req, body)
+export async function startMockServer(handler) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      });
+
+      const { status = 200, json } = handler(req, body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
 // Mock OpenAI responses
 export const mockOpenAIResponse = {
   choices: [
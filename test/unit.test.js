@@ -1,9 +1,96 @@
 // test/unit.test.js
 import { test, describe } from "node:test";
 import assert from "node:assert";
+import { execSync } from "child_process";
+import { mkdirSync, mkdtempSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
 import { loadConfig, getConfigSchema, validateConfig } from "../src/config.js";
-import { formatMarkdown, formatJSON } from "../src/formatters.js";
-import { TestHelper } from "./setup.js";
+import {
+  formatMarkdown,
+  formatJSON,
+  toAzureDevOpsPatch,
+  toGitHubIssue,
+  toJiraIssue,
+} from "../src/formatters.js";
+import { markdownToHtml } from "../src/utils/markdown.js";
+import { createWorkItem } from "../src/integrations/azureDevOps.js";
+import { createJiraIssue } from "../src/integrations/jira.js";
+import {
+  createGitLabIssue,
+  mergeDescription,
+  parseGitLabProject,
+  updateMergeRequest,
+} from "../src/integrations/gitlab.js";
+import {
+  createIssue,
+  parseGitHubRepository,
+} from "../src/integrations/github.js";
+import { callHuggingFace } from "../src/engines/huggingFaceEngine.js";
+import { callLocalModel } from "../src/engines/localModelEngine.js";
+import {
+  parseDiff,
+  matchesPattern,
+  preprocessDiff,
+} from "../src/utils/diffProcessor.js";
+import { estimateTokens, splitDiff } from "../src/utils/diffChunker.js";
+import { createRateLimiter } from "../src/utils/rateLimiter.js";
+import { generateTaskFromDiff } from "../src/engines/index.js";
+import {
+  buildTaskPrompt,
+  buildCommitPrompt,
+  buildPrPrompt,
+  buildSplitPrompt,
+  renderTemplate,
+} from "../src/prompts.js";
+import {
+  cleanCommitMessage,
+  lintCommitMessage,
+  scoreCommitMessage,
+} from "../src/commitLint.js";
+import {
+  getWorkspacePackages,
+  getWorkspacePatterns,
+  inferCommitScope,
+} from "../src/commitScope.js";
+import { analyzeCommitStyle } from "../src/commitStyle.js";
+import { generateCandidates } from "../src/createCommit.js";
+import {
+  buildGroupPatch,
+  formatHunks,
+  parseHunks,
+  parseSplitPlan,
+} from "../src/commitSplit.js";
+import {
+  formatChangelogMarkdown,
+  groupChangelog,
+  parseChangelogCommits,
+  prependToChangelog,
+} from "../src/changelog.js";
+import {
+  fillPrTemplate,
+  parsePrTemplate,
+  renderPrDescription,
+} from "../src/createPr.js";
+import {
+  registerEngine,
+  getAutoEngines,
+  loadEnginePlugins,
+  formatEngineHelp,
+} from "../src/engines/registry.js";
+import {
+  generateStructured,
+  parseStructuredResponse,
+} from "../src/engines/structuredOutput.js";
+import { callGroq } from "../src/engines/groqEngine.js";
+import {
+  normalizeTask,
+  normalizeCommit,
+  parseCommitMessage,
+  renderCommitMessage,
+  addUsage,
+} from "../src/models.js";
+import { TestHelper, startMockServer } from "./setup.js";
 
 describe("Configuration Tests", () => {
   test("should load default configuration", () => {
@@ -71,6 +158,7 @@ describe("Configuration Tests", () => {
     assert(schema.properties.engine.enum.includes("openai"));
     assert(schema.properties.engine.enum.includes("local"));
     assert(schema.properties.engine.enum.includes("groq"));
+    assert(schema.properties.engine.enum.includes("huggingface"));
   });
 
   test("should handle project config file", () => {
@@ -149,6 +237,443 @@ describe("Formatter Tests", () => {
   });
 });
 
+describe("Azure DevOps Tests", () => {
+  const task = {
+    title: "Add login form",
+    summary:
+      "Adds a **login** form.\n\nAcceptance criteria:\n- Users can sign in\n- Errors are shown",
+    tech: "Uses `fetch` & sessions",
+  };
+
+  test("should render markdown as HTML", () => {
+    assert.strictEqual(
+      markdownToHtml("Intro <b>\n\n## Steps\n1. One\n2. Two\n- `x`"),
+      "<p>Intro &lt;b&gt;</p><h2>Steps</h2><ol><li>One</li><li>Two</li></ol><ul><li><code>x</code></li></ul>",
+    );
+  });
+
+  test("should build a work item JSON-Patch document", () => {
+    const patch = toAzureDevOpsPatch(task, {
+      tags: ["taskfoundry", "auth"],
+      areaPath: "Web\\Auth",
+    });
+    const fields = Object.fromEntries(
+      patch.map(({ op, path, value }) => {
+        assert.strictEqual(op, "add");
+        return [path, value];
+      }),
+    );
+
+    assert.strictEqual(fields["/fields/System.Title"], "Add login form");
+    assert(
+      fields["/fields/System.Description"].startsWith(
+        "<p>Adds a <strong>login</strong> form.</p>",
+      ),
+    );
+    assert(
+      fields["/fields/System.Description"].includes(
+        "<h3>Technical considerations</h3><p>Uses <code>fetch</code> &amp; sessions</p>",
+      ),
+    );
+    assert.strictEqual(
+      fields["/fields/Microsoft.VSTS.Common.AcceptanceCriteria"],
+      "<ul><li>Users can sign in</li><li>Errors are shown</li></ul>",
+    );
+    assert.strictEqual(fields["/fields/System.Tags"], "taskfoundry; auth");
+    assert.strictEqual(fields["/fields/System.AreaPath"], "Web\\Auth");
+  });
+
+  test("should create work items through the REST API", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        id: 42,
+        _links: { html: { href: "https://dev.azure.com/contoso/Web/42" } },
+      },
+    }));
+    process.env.AZURE_DEVOPS_PAT = "secret";
+
+    try {
+      const workItem = await createWorkItem(task, {
+        azureDevOps: {
+          organization: "contoso",
+          project: "Web App",
+          baseUrl: `${server.url}/`,
+        },
+      });
+
+      assert.deepStrictEqual(workItem, {
+        id: 42,
+        url: "https://dev.azure.com/contoso/Web/42",
+      });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, "POST");
+      assert.strictEqual(
+        request.url,
+        "/contoso/Web%20App/_apis/wit/workitems/$Task?api-version=7.1",
+      );
+      assert.strictEqual(
+        request.headers["content-type"],
+        "application/json-patch+json",
+      );
+      assert.strictEqual(
+        request.headers.authorization,
+        `Basic ${Buffer.from(":secret").toString("base64")}`,
+      );
+      assert.strictEqual(request.body[0].value, "Add login form");
+    } finally {
+      delete process.env.AZURE_DEVOPS_PAT;
+      await server.close();
+    }
+  });
+
+  test("should name missing settings", async () => {
+    await assert.rejects(
+      createWorkItem(task, { azureDevOps: { organization: "contoso" } }),
+      /azureDevOps\.project \(or AZURE_DEVOPS_PROJECT\), a personal access token/,
+    );
+  });
+});
+
+describe("GitHub Tests", () => {
+  const task = {
+    title: "Fix crash when saving drafts",
+    summary: "Saving an empty draft no longer throws.",
+    tech: "Guards `draft.body` before trimming",
+  };
+
+  test("should build an issue payload with derived labels", () => {
+    const issue = toGitHubIssue(task, {
+      labels: ["taskfoundry"],
+      files: ["src/drafts.js", "test/drafts.test.js", "package.json"],
+    });
+
+    assert.strictEqual(issue.title, "Fix crash when saving drafts");
+    assert.strictEqual(
+      issue.body,
+      "## Summary\n\nSaving an empty draft no longer throws.\n\n## Technical considerations\n\nGuards `draft.body` before trimming",
+    );
+    assert.deepStrictEqual(issue.labels, [
+      "taskfoundry",
+      "tests",
+      "dependencies",
+      "bug",
+    ]);
+  });
+
+  test("should label documentation-only changes as documentation", () => {
+    const issue = toGitHubIssue(
+      { title: "Add setup guide", summary: "Docs" },
+      { files: ["README.md", "docs/setup.md"] },
+    );
+
+    assert.deepStrictEqual(issue.labels, ["documentation"]);
+    assert(!issue.body.includes("Technical considerations"));
+  });
+
+  test("should read the repository from remote URLs", () => {
+    assert.strictEqual(
+      parseGitHubRepository("git@github.com:acme/web.git"),
+      "acme/web",
+    );
+    assert.strictEqual(
+      parseGitHubRepository("https://github.acme.com/acme/web"),
+      "acme/web",
+    );
+    assert.strictEqual(parseGitHubRepository(""), null);
+  });
+
+  test("should create issues through the REST API", async () => {
+    const server = await startMockServer(() => ({
+      status: 201,
+      json: { number: 12, html_url: "https://github.com/acme/web/issues/12" },
+    }));
+    process.env.GITHUB_TOKEN = "secret";
+
+    try {
+      const issue = await createIssue(task, {
+        github: { repository: "acme/web", apiUrl: `${server.url}/api/v3/` },
+        changedFiles: ["src/drafts.js"],
+      });
+
+      assert.deepStrictEqual(issue, {
+        id: 12,
+        url: "https://github.com/acme/web/issues/12",
+      });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, "POST");
+      assert.strictEqual(request.url, "/api/v3/repos/acme/web/issues");
+      assert.strictEqual(request.headers.authorization, "Bearer secret");
+      assert.strictEqual(request.headers.accept, "application/vnd.github+json");
+      assert.deepStrictEqual(request.body.labels, ["taskfoundry", "bug"]);
+    } finally {
+      delete process.env.GITHUB_TOKEN;
+      await server.close();
+    }
+  });
+
+  test("should explain a repository the token can't see", async () => {
+    const server = await startMockServer(() => ({
+      status: 404,
+      json: { message: "Not Found" },
+    }));
+    process.env.GITHUB_TOKEN = "secret";
+
+    try {
+      await assert.rejects(
+        createIssue(task, {
+          github: { repository: "acme/web", apiUrl: server.url },
+        }),
+        /acme\/web not found or the token lacks write access/,
+      );
+    } finally {
+      delete process.env.GITHUB_TOKEN;
+      await server.close();
+    }
+  });
+});
+
+describe("Jira Tests", () => {
+  const task = {
+    title: "Add login form",
+    summary:
+      "Adds a **login** form.\n\n- Users can sign in\n- Errors are shown",
+    tech: "Uses `fetch`",
+  };
+  const jira = {
+    baseUrl: "",
+    email: "dev@acme.com",
+    projectKey: "WEB",
+    issueType: "Story",
+    components: ["Frontend"],
+  };
+
+  test("should convert the task to an ADF issue", () => {
+    const { fields } = toJiraIssue(task, {
+      ...jira,
+      labels: ["task foundry"],
+    });
+
+    assert.deepStrictEqual(fields.project, { key: "WEB" });
+    assert.deepStrictEqual(fields.issuetype, { name: "Story" });
+    assert.strictEqual(fields.summary, "Add login form");
+    assert.deepStrictEqual(fields.components, [{ name: "Frontend" }]);
+    assert.deepStrictEqual(fields.labels, ["task-foundry"]);
+    assert.deepStrictEqual(fields.description, {
+      type: "doc",
+      version: 1,
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Adds a " },
+            { type: "text", text: "login", marks: [{ type: "strong" }] },
+            { type: "text", text: " form." },
+          ],
+        },
+        {
+          type: "bulletList",
+          content: ["Users can sign in", "Errors are shown"].map((text) => ({
+            type: "listItem",
+            content: [{ type: "paragraph", content: [{ type: "text", text }] }],
+          })),
+        },
+        {
+          type: "heading",
+          attrs: { level: 3 },
+          content: [{ type: "text", text: "Technical considerations" }],
+        },
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Uses " },
+            { type: "text", text: "fetch", marks: [{ type: "code" }] },
+          ],
+        },
+      ],
+    });
+  });
+
+  test("should create issues through the REST API", async () => {
+    const server = await startMockServer(() => ({
+      status: 201,
+      json: { id: "10001", key: "WEB-12" },
+    }));
+    process.env.JIRA_API_TOKEN = "secret";
+
+    try {
+      const issue = await createJiraIssue(task, {
+        jira: { ...jira, baseUrl: `${server.url}/` },
+      });
+
+      assert.deepStrictEqual(issue, {
+        id: "WEB-12",
+        url: `${server.url}/browse/WEB-12`,
+      });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.url, "/rest/api/3/issue");
+      assert.strictEqual(
+        request.headers.authorization,
+        `Basic ${Buffer.from("dev@acme.com:secret").toString("base64")}`,
+      );
+      assert.strictEqual(request.body.fields.description.type, "doc");
+    } finally {
+      delete process.env.JIRA_API_TOKEN;
+      await server.close();
+    }
+  });
+
+  test("should report rejected fields", async () => {
+    const server = await startMockServer(() => ({
+      status: 400,
+      json: {
+        errorMessages: [],
+        errors: { components: "Component name 'Frontend' is not valid" },
+      },
+    }));
+    process.env.JIRA_API_TOKEN = "secret";
+
+    try {
+      await assert.rejects(
+        createJiraIssue(task, { jira: { ...jira, baseUrl: server.url } }),
+        /components: Component name 'Frontend' is not valid/,
+      );
+    } finally {
+      delete process.env.JIRA_API_TOKEN;
+      await server.close();
+    }
+  });
+});
+
+describe("GitLab Tests", () => {
+  const task = {
+    title: "Add login form",
+    summary: "Adds a login form.",
+    tech: "Uses sessions",
+  };
+
+  test("should read nested project paths from remote URLs", () => {
+    assert.strictEqual(
+      parseGitLabProject("git@gitlab.com:platform/web/app.git"),
+      "platform/web/app",
+    );
+    assert.strictEqual(
+      parseGitLabProject("ssh://git@gitlab.example.com:2222/platform/app.git"),
+      "platform/app",
+    );
+    assert.strictEqual(
+      parseGitLabProject("https://gitlab.example.com/platform/app"),
+      "platform/app",
+    );
+  });
+
+  test("should replace only the generated part of a description", () => {
+    const first = mergeDescription("Closes #4", "## Summary\n\nOld");
+    assert.strictEqual(
+      first,
+      "Closes #4\n\n<!-- taskfoundry:start -->\n## Summary\n\nOld\n<!-- taskfoundry:end -->",
+    );
+
+    const second = mergeDescription(`${first}\n\nThanks!`, "## Summary\n\nNew");
+    assert.strictEqual(
+      second,
+      "Closes #4\n\n<!-- taskfoundry:start -->\n## Summary\n\nNew\n<!-- taskfoundry:end -->\n\nThanks!",
+    );
+  });
+
+  test("should create issues through the REST API", async () => {
+    const server = await startMockServer(() => ({
+      status: 201,
+      json: { iid: 8, web_url: "https://gitlab.example.com/p/w/-/issues/8" },
+    }));
+    process.env.GITLAB_TOKEN = "secret";
+
+    try {
+      const issue = await createGitLabIssue(task, {
+        gitlab: { url: `${server.url}/`, project: "platform/web" },
+        changedFiles: ["docs/login.md", "src/login.js"],
+      });
+
+      assert.deepStrictEqual(issue, {
+        id: 8,
+        url: "https://gitlab.example.com/p/w/-/issues/8",
+      });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.url, "/api/v4/projects/platform%2Fweb/issues");
+      assert.strictEqual(request.headers["private-token"], "secret");
+      assert.strictEqual(
+        request.body.labels,
+        "taskfoundry,documentation,enhancement",
+      );
+      assert(request.body.description.startsWith("## Summary"));
+    } finally {
+      delete process.env.GITLAB_TOKEN;
+      await server.close();
+    }
+  });
+
+  test("should update the open merge request of the branch", async () => {
+    const server = await startMockServer((request) =>
+      request.method === "GET"
+        ? { json: [{ iid: 3, description: "Closes #4" }] }
+        : {
+            json: {
+              iid: 3,
+              web_url: "https://gitlab.com/p/-/merge_requests/3",
+            },
+          },
+    );
+    process.env.GITLAB_TOKEN = "secret";
+
+    try {
+      const mergeRequest = await updateMergeRequest(task, {
+        gitlab: { url: server.url, project: "42" },
+        branch: "feature/login",
+      });
+
+      assert.strictEqual(mergeRequest.id, 3);
+      assert.strictEqual(
+        server.requests[0].url,
+        "/api/v4/projects/42/merge_requests?state=opened&source_branch=feature%2Flogin",
+      );
+      assert.strictEqual(server.requests[1].method, "PUT");
+      assert.strictEqual(
+        server.requests[1].url,
+        "/api/v4/projects/42/merge_requests/3",
+      );
+      assert(
+        server.requests[1].body.description.startsWith(
+          "Closes #4\n\n<!-- taskfoundry:start -->\n## Summary",
+        ),
+      );
+    } finally {
+      delete process.env.GITLAB_TOKEN;
+      await server.close();
+    }
+  });
+
+  test("should report a branch without a merge request", async () => {
+    const server = await startMockServer(() => ({ json: [] }));
+    process.env.GITLAB_TOKEN = "secret";
+
+    try {
+      await assert.rejects(
+        updateMergeRequest(task, {
+          gitlab: { url: server.url, project: "42" },
+          branch: "feature/login",
+        }),
+        /No open merge request for branch feature\/login/,
+      );
+    } finally {
+      delete process.env.GITLAB_TOKEN;
+      await server.close();
+    }
+  });
+});
+
 describe("OpenAI Engine Tests", () => {
   test("should call OpenAI with correct parameters", async () => {
     // Mock the OpenAI import
@@ -186,6 +711,1184 @@ describe("OpenAI Engine Tests", () => {
   });
 });
 
+describe("Local Model Engine Tests", () => {
+  const taskContent = `TITLE: Add greeting helpers
+SUMMARY: Added hello and goodbye functions
+TECHNICAL: Uses default parameters`;
+
+  test("should call Ollama /api/chat and parse the task", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        message: { role: "assistant", content: taskContent },
+        prompt_eval_count: 120,
+        eval_count: 30,
+      },
+    }));
+
+    try {
+      const { metadata, ...task } = await callLocalModel("test diff", {
+        local: { endpoint: server.url, model: "llama3.1" },
+      });
+
+      assert.deepStrictEqual(task, {
+        title: "Add greeting helpers",
+        summary: "Added hello and goodbye functions",
+        tech: "Uses default parameters",
+      });
+      assert.deepStrictEqual(metadata, {
+        engine: "local",
+        model: "llama3.1",
+        usage: { prompt_eval_count: 120, eval_count: 30 },
+      });
+      assert.strictEqual(server.requests[0].url, "/api/chat");
+      assert.strictEqual(server.requests[0].body.model, "llama3.1");
+      assert.strictEqual(server.requests[0].body.stream, false);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("should call OpenAI-compatible /v1 servers in commit mode", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        choices: [
+          {
+            message: {
+              content: `TYPE: feat
+SCOPE: greet
+DESCRIPTION: add goodbye function
+BODY: none
+BREAKING: none`,
+            },
+          },
+        ],
+      },
+    }));
+
+    try {
+      const result = await callLocalModel("test diff", {
+        commitMode: true,
+        local: { endpoint: `${server.url}/v1`, model: "qwen2.5-coder" },
+      });
+
+      assert.strictEqual(result.type, "feat");
+      assert.strictEqual(result.scope, "greet");
+      assert.strictEqual(result.description, "add goodbye function");
+      assert.strictEqual(server.requests[0].url, "/v1/chat/completions");
+      assert.strictEqual(server.requests[0].body.max_tokens, 300);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("should report unreachable local servers", async () => {
+    await assert.rejects(
+      callLocalModel("test diff", {
+        local: { endpoint: "http://127.0.0.1:1" },
+      }),
+      /Could not reach local model/,
+    );
+  });
+});
+
+describe("Hugging Face Engine Tests", () => {
+  test("should require a Hugging Face API key", async () => {
+    const previousKey = process.env.HUGGINGFACE_API_KEY;
+    delete process.env.HUGGINGFACE_API_KEY;
+
+    try {
+      await assert.rejects(
+        callHuggingFace("test diff"),
+        /Missing Hugging Face API key/,
+      );
+    } finally {
+      if (previousKey) process.env.HUGGINGFACE_API_KEY = previousKey;
+    }
+  });
+
+  test("should send the task prompt to the chat completions API", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        choices: [
+          {
+            message: {
+              content: `TITLE: Add greeting helpers
+SUMMARY: Added hello and goodbye functions
+TECHNICAL: Uses default parameters`,
+            },
+          },
+        ],
+      },
+    }));
+    const previousKey = process.env.HUGGINGFACE_API_KEY;
+    process.env.HUGGINGFACE_API_KEY = "hf_test";
+    process.env.HUGGINGFACE_BASE_URL = `${server.url}/v1/chat/completions`;
+
+    try {
+      const result = await callHuggingFace("test diff", {});
+
+      assert.strictEqual(result.title, "Add greeting helpers");
+      assert.strictEqual(result.tech, "Uses default parameters");
+      assert.strictEqual(
+        server.requests[0].body.model,
+        "meta-llama/Llama-3.1-70B-Instruct",
+      );
+      assert.strictEqual(
+        server.requests[0].headers.authorization,
+        "Bearer hf_test",
+      );
+    } finally {
+      delete process.env.HUGGINGFACE_BASE_URL;
+      if (previousKey) {
+        process.env.HUGGINGFACE_API_KEY = previousKey;
+      } else {
+        delete process.env.HUGGINGFACE_API_KEY;
+      }
+      await server.close();
+    }
+  });
+});
+
+describe("Diff Preprocessing Tests", () => {
+  const sampleDiff = `diff --git a/src/greet.js b/src/greet.js
+index 83db48f..bf269f4 100644
+--- a/src/greet.js
++++ b/src/greet.js
+@@ -1,3 +1,4 @@
+-function hello() {
++function hello(name) {
++  return name;
+ }
+diff --git a/pnpm.lock b/pnpm.lock
+index 1111111..2222222 100644
+--- a/pnpm.lock
++++ b/pnpm.lock
+@@ -1 +1 @@
+-old
++new`;
+
+  test("should parse a diff per file", () => {
+    const files = parseDiff(sampleDiff);
+
+    assert.strictEqual(files.length, 2);
+    assert.strictEqual(files[0].path, "src/greet.js");
+    assert.strictEqual(files[0].additions, 2);
+    assert.strictEqual(files[0].deletions, 1);
+    assert.strictEqual(files[1].path, "pnpm.lock");
+  });
+
+  test("should match exclude glob patterns", () => {
+    assert(matchesPattern("pnpm.lock", "*.lock"));
+    assert(matchesPattern("packages/app/yarn.lock", "*.lock"));
+    assert(matchesPattern("node_modules/a/index.js", "node_modules/**"));
+    assert(matchesPattern("src/engines/groq.js", "src/**/*.js"));
+    assert(!matchesPattern("src/dist/index.js", "dist/**"));
+    assert(!matchesPattern("src/greet.js", "*.lock"));
+  });
+
+  test("should drop excluded files and add a stat header", () => {
+    const result = preprocessDiff(sampleDiff, {
+      excludePatterns: ["*.lock"],
+      includeFileNames: true,
+      includeDiffStats: true,
+    });
+
+    assert(result.startsWith("Diff statistics:"));
+    assert(result.includes(" src/greet.js | 3 ++-"));
+    assert(result.includes("1 file changed, 2 insertions(+), 1 deletion(-)"));
+    assert(!result.includes("pnpm.lock"));
+  });
+
+  test("should strip file names when includeFileNames is false", () => {
+    const result = preprocessDiff(sampleDiff, {
+      excludePatterns: [],
+      includeFileNames: false,
+      includeDiffStats: false,
+    });
+
+    assert(!result.includes("src/greet.js"));
+    assert(!result.includes("pnpm.lock"));
+    assert(result.includes("diff --git a/file1 b/file1"));
+    assert(result.includes("+++ b/file2"));
+  });
+
+  test("should fail when every file is excluded", () => {
+    assert.throws(
+      () => preprocessDiff(sampleDiff, { excludePatterns: ["**"] }),
+      /No changes left to analyze/,
+    );
+  });
+});
+
+describe("Diff Chunking Tests", () => {
+  const fileDiff = (name, lines) =>
+    `diff --git a/${name} b/${name}
+--- a/${name}
++++ b/${name}
+@@ -1,${lines} +1,${lines} @@
+${Array.from({ length: lines }, (_, i) => `+const value${i} = ${i};`).join("\n")}`;
+
+  test("should keep whole files together when they fit", () => {
+    const diff = `${fileDiff("a.js", 8)}\n${fileDiff("b.js", 8)}`;
+    const { chunks } = splitDiff(diff, 80);
+
+    assert.strictEqual(chunks.length, 2);
+    assert(chunks[0].startsWith("diff --git a/a.js"));
+    assert(chunks[1].startsWith("diff --git a/b.js"));
+  });
+
+  test("should split oversized files and repeat the file header", () => {
+    const { chunks } = splitDiff(fileDiff("big.js", 60), 100);
+
+    assert(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert(chunk.startsWith("diff --git a/big.js b/big.js"));
+      assert(estimateTokens(chunk) <= 100);
+    }
+  });
+
+  test("should summarise chunks and merge the partial results", async (t) => {
+    // Keep the progress lines out of the test runner's output
+    t.mock.method(console, "error", () => {});
+    const server = await startMockServer(() => ({
+      json: {
+        message: {
+          content: `TITLE: Add constants
+SUMMARY: Added value constants
+TECHNICAL: Plain const declarations`,
+        },
+        prompt_eval_count: 100,
+        eval_count: 20,
+      },
+    }));
+
+    try {
+      const diff = `Diff statistics:\n a.js | 8 ++++++++\n\n${fileDiff("a.js", 8)}\n${fileDiff("b.js", 8)}`;
+      const result = await generateTaskFromDiff(diff, {
+        engine: "local",
+        local: { endpoint: server.url },
+        maxDiffTokens: 80,
+      });
+
+      assert.strictEqual(result.title, "Add constants");
+      assert.strictEqual(server.requests.length, 3);
+      assert.strictEqual(result.metadata.usage.totalTokens, 360);
+      assert(
+        server.requests[0].body.messages[0].content.includes("part 1 of 2"),
+      );
+      const mergePrompt = server.requests[2].body.messages[0].content;
+      assert(mergePrompt.includes("Partial task descriptions:"));
+      assert(mergePrompt.includes("Part 2/2:"));
+      assert(mergePrompt.includes("Diff statistics:"));
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe("Rate Limiter Tests", () => {
+  test("should space requests shared by concurrent callers", async () => {
+    const limiter = createRateLimiter(1200); // one request every 50ms
+    const startedAt = Date.now();
+    const times = [];
+
+    await Promise.all(
+      [1, 2, 3].map(async () => {
+        await limiter.acquire();
+        times.push(Date.now() - startedAt);
+      }),
+    );
+
+    assert(times[0] < 40);
+    assert(times[2] >= 95);
+  });
+
+  test("should not wait without a limit", async () => {
+    const limiter = createRateLimiter(null);
+    const startedAt = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => limiter.acquire()));
+
+    assert(Date.now() - startedAt < 40);
+    assert.throws(() => createRateLimiter(-1), /Invalid rate limit/);
+  });
+});
+
+describe("Prompt Template Tests", () => {
+  const diff = `diff --git a/src/greet.js b/src/greet.js
+--- a/src/greet.js
++++ b/src/greet.js
+@@ -1 +1 @@
+-hello
++hello world`;
+
+  test("should render the built-in task and commit templates", () => {
+    const taskPrompt = buildTaskPrompt(diff, {});
+    assert(
+      taskPrompt.startsWith(
+        "Analyze this git diff and create a task description",
+      ),
+    );
+    assert(taskPrompt.includes("TITLE: [Brief summary of the change]"));
+    assert(taskPrompt.endsWith(`Git diff:\n\`\`\`\n${diff}\n\`\`\``));
+
+    const commitPrompt = buildCommitPrompt(diff, { type: "fix" });
+    assert(commitPrompt.includes('Use the commit type "fix".'));
+    assert(commitPrompt.includes("DESCRIPTION: [clear, concise description"));
+  });
+
+  test("should list range commit messages before the diff", () => {
+    const prompt = buildTaskPrompt(diff, {
+      commitMessages: ["Add greeting", "Greet the world\n\nCloses #4"],
+    });
+
+    assert(
+      prompt.includes(
+        "Commit messages in this range (oldest first):\n- Add greeting\n- Greet the world\n\n  Closes #4\n\nGit diff:",
+      ),
+    );
+    assert(!buildTaskPrompt(diff, {}).includes("Commit messages"));
+  });
+
+  test("should fill placeholders in inline config templates", () => {
+    const prompt = buildTaskPrompt(diff, {
+      currentBranch: "feature/greet",
+      templates: {
+        prompt: "Branch {branch} ({type})\n{files}\n{stats}\n{format}\n{diff}",
+      },
+    });
+
+    assert(prompt.startsWith("Branch feature/greet (task)\nsrc/greet.js\n"));
+    assert(prompt.includes(" src/greet.js | 2 +-"));
+    assert(prompt.includes("TECHNICAL: [Implementation notes"));
+    assert(prompt.endsWith("+hello world"));
+  });
+
+  test("should load templates from a file", () => {
+    const templatePath = TestHelper.createTempFile(
+      "commit-template.txt",
+      "Write a commit for {files}\n{format}",
+    );
+
+    const prompt = buildCommitPrompt(diff, { template: templatePath });
+    assert(prompt.startsWith("Write a commit for src/greet.js\nGuidelines:"));
+  });
+
+  test("should report missing template files", () => {
+    assert.throws(
+      () => buildTaskPrompt(diff, { template: "does-not-exist.txt" }),
+      /Prompt template not found/,
+    );
+  });
+
+  test("should leave unknown placeholders untouched", () => {
+    assert.strictEqual(
+      renderTemplate("{diff} {unknown}", { diff: "a {diff}" }),
+      "a {diff} {unknown}",
+    );
+  });
+});
+
+describe("Pull Request Tests", () => {
+  const template = `## What
+<!-- Describe the change and link the issue -->
+
+## How to test?
+<!--
+  Steps for reviewers
+-->
+
+## Checklist
+- [ ] Docs updated`;
+
+  test("should read headings and their guidance from a template", () => {
+    assert.deepStrictEqual(parsePrTemplate(template), [
+      { heading: "What", guidance: "Describe the change and link the issue" },
+      { heading: "How to test?", guidance: "Steps for reviewers" },
+      { heading: "Checklist", guidance: "" },
+    ]);
+  });
+
+  test("should list the sections in the prompt", () => {
+    const prompt = buildPrPrompt("diff --git a/a.js b/a.js", {
+      prSections: parsePrTemplate(template),
+      commitMessages: ["Add login form"],
+    });
+
+    assert(prompt.startsWith("Write a pull request description"));
+    assert(
+      prompt.includes(
+        "- What: Describe the change and link the issue\n- How to test?: Steps for reviewers\n- Checklist",
+      ),
+    );
+    assert(prompt.includes("- Add login form"));
+    assert(prompt.includes("TITLE: [Pull request title]"));
+  });
+
+  test("should fill in the template headings", () => {
+    const body = fillPrTemplate(
+      template,
+      "## What\nAdds a login form.\n## 🧪 How to test\n1. Run npm test\n## Extra\nIgnored",
+    );
+
+    assert.strictEqual(
+      body,
+      "## What\n\nAdds a login form.\n\n## How to test?\n\n1. Run npm test\n\n## Checklist\n- [ ] Docs updated",
+    );
+  });
+
+  test("should use the default sections and append reviewer notes", () => {
+    const body = renderPrDescription({
+      summary: "Adds a login form.\n## Risks\nNone",
+      tech: "Sessions now expire after an hour",
+    });
+
+    assert.strictEqual(
+      body,
+      "## Summary\n\nAdds a login form.\n\n## Changes\n\n## Testing\n\n## Risks\n\nNone\n\n## Notes for reviewers\n\nSessions now expire after an hour",
+    );
+  });
+});
+
+describe("Changelog Tests", () => {
+  const commit = (hash, message) => ({
+    hash: `${hash}000000`,
+    author: "Dev",
+    date: "2026-05-01T10:00:00+02:00",
+    message,
+    subject: message.split("\n")[0],
+  });
+
+  const entries = parseChangelogCommits([
+    commit("aaa", "feat(ui)!: drop the legacy theme"),
+    commit("bbb", "fix: handle empty input"),
+    commit("ccc", "feat(api): add login\n\nBREAKING CHANGE: tokens expire"),
+    commit("ddd", "feat: add search"),
+    commit("eee", "Merge branch 'main' into feature"),
+    commit("fff", "Update readme"),
+    commit("ggg", "revert: undo search"),
+  ]);
+
+  test("should parse conventional commits and skip merges", () => {
+    assert.strictEqual(entries.length, 6);
+    assert.deepStrictEqual(
+      entries.map(({ hash, type, scope, breaking }) => [
+        hash,
+        type,
+        scope,
+        breaking,
+      ]),
+      [
+        ["aaa0000", "feat", "ui", true],
+        ["bbb0000", "fix", "", false],
+        ["ccc0000", "feat", "api", true],
+        ["ddd0000", "feat", "", false],
+        ["fff0000", null, "", false],
+        ["ggg0000", "revert", "", false],
+      ],
+    );
+    assert.strictEqual(entries[0].breakingDescription, "drop the legacy theme");
+    assert.strictEqual(entries[2].breakingDescription, "tokens expire");
+  });
+
+  test("should group by type and scope", () => {
+    const { breaking, sections } = groupChangelog(entries);
+
+    assert.deepStrictEqual(
+      breaking.map((entry) => entry.hash),
+      ["aaa0000", "ccc0000"],
+    );
+    assert.deepStrictEqual(
+      sections.map((section) => section.title),
+      ["Features", "Bug Fixes", "Other Changes"],
+    );
+    assert.deepStrictEqual(
+      sections[0].scopes.map(({ scope, commits }) => [scope, commits.length]),
+      [
+        ["", 1],
+        ["api", 1],
+        ["ui", 1],
+      ],
+    );
+  });
+
+  test("should render markdown release notes", () => {
+    const markdown = formatChangelogMarkdown({
+      version: "v1.0.0",
+      date: "2026-05-01",
+      summary: "Login arrives.",
+      ...groupChangelog(entries.slice(1, 3)),
+    });
+
+    assert.strictEqual(
+      markdown,
+      "## v1.0.0 (2026-05-01)\n\nLogin arrives.\n\n### ⚠ BREAKING CHANGES\n\n- **api:** tokens expire (ccc0000)\n\n### Features\n\n- **api:** add login (ccc0000)\n\n### Bug Fixes\n\n- handle empty input (bbb0000)",
+    );
+  });
+
+  test("should prepend below the changelog heading", () => {
+    const path = join(
+      mkdtempSync(join(tmpdir(), "taskfoundry-changelog-")),
+      "CHANGELOG.md",
+    );
+    writeFileSync(path, "# Changelog\n\nAll notable changes.\n\n## v0.9.0\n");
+
+    prependToChangelog(path, "## v1.0.0\n\n- new");
+
+    assert.strictEqual(
+      readFileSync(path, "utf-8"),
+      "# Changelog\n\nAll notable changes.\n\n## v1.0.0\n\n- new\n\n## v0.9.0\n",
+    );
+  });
+});
+
+describe("Commit Lint Tests", () => {
+  const rules = (message) =>
+    lintCommitMessage(message).map(({ rule, line }) => `${rule}@${line}`);
+
+  test("should accept conventional commit messages", () => {
+    for (const message of [
+      "feat: add search",
+      "fix(api/v2): handle empty input\n\nThe parser returned null.",
+      "feat(ui)!: drop the legacy theme\n\nBREAKING CHANGE: themes must be migrated",
+      "chore: embed fonts",
+      "Merge branch 'main' into feature",
+      "fixup! feat: add search",
+    ]) {
+      assert.deepStrictEqual(rules(message), [], message);
+    }
+  });
+
+  test("should report each rule with its line", () => {
+    assert.deepStrictEqual(rules("Add search"), ["header@1"]);
+    assert.deepStrictEqual(rules("feature(): adds search\nbody"), [
+      "type@1",
+      "scope@1",
+      "imperative@1",
+      "blank-line@2",
+    ]);
+    assert.deepStrictEqual(rules(`feat: ${"a".repeat(70)}`), [
+      "header-length@1",
+    ]);
+    assert.deepStrictEqual(
+      rules("feat: add search\n\nBody.\nBREAKING CHANGE: new index"),
+      ["breaking-change@4"],
+    );
+    assert.deepStrictEqual(
+      rules("feat: add search\n\nBREAKING-CHANGES - new index"),
+      ["breaking-change@3"],
+    );
+  });
+
+  test("should suggest the imperative form", () => {
+    assert.strictEqual(
+      lintCommitMessage("refactor: simplified parsing")[0].message,
+      'use the imperative mood: "simplify", not "simplified"',
+    );
+  });
+
+  test("should ignore comments and the scissors section", () => {
+    assert.strictEqual(
+      cleanCommitMessage(
+        "fix: trim input\n# Please enter the commit message\n# ------------------------ >8 ------------------------\ndiff --git a/x b/x",
+      ),
+      "fix: trim input",
+    );
+  });
+
+  test("should score messages by rules and header length", () => {
+    assert.strictEqual(scoreCommitMessage("feat: add search").score, 100);
+    assert.strictEqual(
+      scoreCommitMessage(`feat: add ${"x".repeat(50)}`).score,
+      90,
+    );
+    assert.strictEqual(scoreCommitMessage("feat: added search").score, 85);
+    assert.strictEqual(scoreCommitMessage("Added search").score, 50);
+  });
+
+  test("should rank candidates and drop duplicates and failures", async () => {
+    const replies = {
+      0.3: { type: "feat", description: "added search" },
+      0.6: { type: "feat", description: "add search" },
+      0.9: { type: "feat", description: "add search" },
+    };
+    const generate = async ({ temperature }) => {
+      if (temperature === 1.2) throw new Error("rate limited");
+      return replies[temperature];
+    };
+
+    const candidates = await generateCandidates(generate, 4, 0.3);
+
+    assert.deepStrictEqual(
+      candidates.map(({ message, score, temperature }) => [
+        message,
+        score,
+        temperature,
+      ]),
+      [
+        ["feat: add search", 100, 0.6],
+        ["feat: added search", 85, 0.3],
+      ],
+    );
+    assert.strictEqual(candidates[0].commit.description, "add search");
+
+    await assert.rejects(
+      generateCandidates(async () => {
+        throw new Error("offline");
+      }, 2),
+      /offline/,
+    );
+  });
+
+  test("should ask the engine to repair a draft message", () => {
+    const prompt = buildCommitPrompt("diff --git a/x b/x", {
+      draftMessage: "Added search",
+      draftProblems: ['unknown type "Added search"'],
+    });
+
+    assert(prompt.includes("Rewrite this draft commit message"));
+    assert(prompt.includes('- unknown type "Added search"'));
+    assert(prompt.includes("```\nAdded search\n```"));
+  });
+});
+
+describe("Commit Split Tests", () => {
+  const diff = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,3 @@
+ one
+-two
++2
+ three
+@@ -20,3 +20,3 @@
+ twenty
+-twenty-one
++21
+ twenty-two
+diff --git a/docs/new.md b/docs/new.md
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/docs/new.md
+@@ -0,0 +1 @@
++# New
+diff --git a/logo.png b/logo.png
+index 4444444..5555555 100644
+GIT binary patch
+literal 3
+KcmZ?wWMBXQ00IC2
+
+literal 0
+HcmV?d00001
+`;
+
+  test("should number hunks and keep whole files together", () => {
+    const units = parseHunks(diff);
+
+    assert.deepStrictEqual(
+      units.map(({ id, path, description }) => [id, path, description]),
+      [
+        ["H1", "src/app.js", "hunk 1 of 2"],
+        ["H2", "src/app.js", "hunk 2 of 2"],
+        ["H3", "docs/new.md", "new file"],
+        ["H4", "logo.png", "binary file"],
+      ],
+    );
+    assert(units[1].body.startsWith("@@ -20,3 +20,3 @@"));
+    assert(units[3].body.endsWith("HcmV?d00001\n"));
+  });
+
+  test("should hide binary and excluded content from the engine", () => {
+    const hunks = formatHunks(parseHunks(diff), {
+      excludePatterns: ["docs/*"],
+    });
+
+    assert(hunks.includes("### H3 docs/new.md (new file, content omitted)"));
+    assert(!hunks.includes("+# New"));
+    assert(hunks.includes("### H4 logo.png (binary file)"));
+    assert(!hunks.includes("GIT binary patch"));
+    assert(hunks.includes("### H1 src/app.js (hunk 1 of 2)\n@@ -1,3"));
+  });
+
+  test("should parse a plan and collect hunks the engine left out", () => {
+    const units = parseHunks(diff);
+    const groups = parseSplitPlan(
+      "1. H2 => fix(app): use digits\n- H1, h2, H9 -> refactor: rename\nnot a plan line",
+      units,
+    );
+
+    assert.deepStrictEqual(groups, [
+      { message: "fix(app): use digits", hunks: ["H2"] },
+      { message: "refactor: rename", hunks: ["H1"] },
+      {
+        message: "chore: commit the remaining changes",
+        hunks: ["H3", "H4"],
+        leftover: true,
+      },
+    ]);
+  });
+
+  test("should build a patch with each file header once", () => {
+    const units = parseHunks(diff);
+    const patch = buildGroupPatch({ hunks: ["H2", "H1"] }, units);
+
+    assert.strictEqual(patch.match(/^diff --git/gm).length, 1);
+    assert(patch.indexOf("@@ -1,3") < patch.indexOf("@@ -20,3"));
+    assert(!patch.includes("docs/new.md"));
+  });
+
+  test("should build the split prompt", () => {
+    const prompt = buildSplitPrompt("### H1 src/app.js (hunk 1 of 1)");
+
+    assert(prompt.includes("atomic commits"));
+    assert(prompt.includes("Staged hunks:\n### H1 src/app.js"));
+  });
+});
+
+describe("Commit Style Tests", () => {
+  const messages = [
+    "feat(api): add PROJ-12 login endpoint",
+    "fix(api): handle PROJ-9 timeouts",
+    "Merge branch 'main' into feature",
+    "docs(readme): describe setup\n\nRefs: PROJ-7",
+    "✨ feat(ui): add dark mode",
+    "chore: bump UTF-8 parser",
+    "fix(api): retry PROJ-3 requests",
+  ];
+
+  test("should learn scopes, casing, tickets and gitmoji", () => {
+    const profile = analyzeCommitStyle(messages, { examples: 3 });
+
+    assert.strictEqual(profile.sampled, 6);
+    assert.strictEqual(profile.conventional, 1);
+    assert.deepStrictEqual(profile.scopes, [
+      { name: "api", count: 3 },
+      { name: "readme", count: 1 },
+      { name: "ui", count: 1 },
+    ]);
+    assert.strictEqual(profile.scoped, 0.83);
+    assert.strictEqual(profile.casing, "lower");
+    assert.deepStrictEqual(profile.tickets, {
+      keys: ["PROJ"],
+      share: 0.67,
+      placement: "header",
+    });
+    assert.strictEqual(profile.gitmoji, 0.17);
+    // One example per scope first, in history order
+    assert.deepStrictEqual(profile.examples, [
+      "feat(api): add PROJ-12 login endpoint",
+      "docs(readme): describe setup",
+      "✨ feat(ui): add dark mode",
+    ]);
+  });
+
+  test("should detect capitalised descriptions behind tags", () => {
+    const profile = analyzeCommitStyle([
+      "[web] Add search",
+      "PROJ-4: Fix paging",
+      "Update docs",
+    ]);
+
+    assert.strictEqual(profile.conventional, 0);
+    assert.strictEqual(profile.casing, "sentence");
+    assert.strictEqual(profile.tickets.keys[0], "PROJ");
+  });
+
+  test("should describe the style in the commit prompt", () => {
+    const commitStyle = analyzeCommitStyle(messages, { examples: 2 });
+    const prompt = buildCommitPrompt("diff --git a/x b/x", {
+      commitStyle,
+      currentBranch: "feature/proj-42-login",
+    });
+
+    assert(prompt.includes("most common first: api, readme, ui."));
+    assert(prompt.includes("Reference the ticket PROJ-42 in the description"));
+    assert(!prompt.includes("gitmoji"));
+    assert(
+      prompt.includes(
+        "Recent commit headers from this repository:\n- feat(api): add PROJ-12 login endpoint\n- docs(readme): describe setup",
+      ),
+    );
+    assert(!buildCommitPrompt("diff").includes("Match the style"));
+  });
+});
+
+describe("Commit Scope Tests", () => {
+  test("should map files to scopes with the first matching glob", () => {
+    const config = {
+      scopes: {
+        "src/engines/**": "engines",
+        "src/**": "core",
+        "*.md": "",
+      },
+      excludePatterns: ["*.lock"],
+      workspaceScopes: false,
+    };
+
+    assert.deepStrictEqual(
+      inferCommitScope(["src/engines/groq.js", "yarn.lock"], config),
+      { scope: "engines", candidates: [] },
+    );
+    assert.deepStrictEqual(
+      inferCommitScope(["docs/a.md", "README.md"], config),
+      {
+        scope: "",
+        candidates: [],
+      },
+    );
+    assert.deepStrictEqual(
+      inferCommitScope(
+        ["src/a.js", "src/b.js", "src/engines/c.js", "bin/cli.js"],
+        config,
+      ),
+      { scope: null, candidates: ["core", "engines"] },
+    );
+  });
+
+  test("should find workspace packages and use their names", () => {
+    TestHelper.createTestRepo();
+    TestHelper.createTempFile(
+      "package.json",
+      JSON.stringify({ workspaces: { packages: ["packages/*"] } }),
+    );
+    TestHelper.createTempFile(
+      "pnpm-workspace.yaml",
+      "packages:\n  - 'apps/*' # deployables\n  - '!apps/legacy'\n",
+    );
+    TestHelper.createTempFile(
+      "lerna.json",
+      JSON.stringify({ packages: ["tools/cli/"] }),
+    );
+    for (const [dir, name] of [
+      ["packages/ui", "@acme/ui"],
+      ["packages/ui/icons", "@acme/icons"],
+      ["apps/web", "web-app"],
+      ["apps/legacy", "legacy"],
+      ["tools/cli", "@acme/cli"],
+      ["examples/demo", "demo"],
+    ]) {
+      mkdirSync(join(TestHelper.tempDir, dir), { recursive: true });
+      TestHelper.createTempFile(
+        `${dir}/package.json`,
+        JSON.stringify({ name }),
+      );
+    }
+    execSync("git add -A", { cwd: TestHelper.tempDir });
+
+    try {
+      assert.deepStrictEqual(getWorkspacePatterns(TestHelper.tempDir), [
+        "packages/*",
+        "apps/*",
+        "!apps/legacy",
+        "tools/cli",
+      ]);
+      assert.deepStrictEqual(getWorkspacePackages(TestHelper.tempDir), [
+        { dir: "apps/web", scope: "web-app" },
+        { dir: "packages/ui", scope: "ui" },
+        { dir: "tools/cli", scope: "cli" },
+      ]);
+    } finally {
+      TestHelper.cleanup();
+    }
+  });
+
+  test("should guide the engine with the inferred scope", () => {
+    const spanning = buildCommitPrompt("diff", {
+      scopeCandidates: ["ui", "web"],
+    });
+    assert(spanning.includes("belong to these scopes: ui, web."));
+
+    assert(
+      buildCommitPrompt("diff", { scope: "" }).includes(
+        "Leave the scope empty.",
+      ),
+    );
+    assert(
+      buildCommitPrompt("diff", { scope: "ui" }).includes(
+        'Use the scope "ui".',
+      ),
+    );
+  });
+});
+
+describe("Engine Registry Tests", () => {
+  test("should order built-in auto engines by priority", () => {
+    const names = getAutoEngines().map((engine) => engine.name);
+
+    assert.deepStrictEqual(names.slice(0, 3), [
+      "groq",
+      "openai",
+      "huggingface",
+    ]);
+    assert.strictEqual(names[names.length - 1], "freetier");
+    assert(!names.includes("local"));
+  });
+
+  test("should reject invalid engine definitions", () => {
+    assert.throws(() => registerEngine({ name: "broken" }), /call\(diff/);
+    assert.throws(
+      () => registerEngine({ name: "auto", call: async () => ({}) }),
+      /reserved/,
+    );
+  });
+
+  test("should load engine plugins from local files", async () => {
+    TestHelper.tempDir = mkdtempSync(join(tmpdir(), "taskfoundry-plugin-"));
+    TestHelper.createTempFile(
+      "echo-engine.js",
+      `export default {
+  name: "echo",
+  description: "Echo the diff back",
+  call: async (diff) => ({ title: "Echo", summary: diff, tech: "none" }),
+};`,
+    );
+
+    await loadEnginePlugins(["./echo-engine.js"], TestHelper.tempDir);
+
+    assert(validateConfig({ ...loadConfig(), engine: "echo" }).isValid);
+    assert(getConfigSchema().properties.engine.enum.includes("echo"));
+    assert(formatEngineHelp().includes("echo"));
+
+    const { metadata, ...task } = await generateTaskFromDiff("some diff", {
+      engine: "echo",
+    });
+    assert.deepStrictEqual(task, {
+      title: "Echo",
+      summary: "some diff",
+      tech: "none",
+    });
+    assert.strictEqual(metadata.engine, "echo");
+
+    await assert.rejects(
+      generateTaskFromDiff("some diff", { engine: "echo", commitMode: true }),
+      /does not support commit messages/,
+    );
+  });
+
+  test("should report unknown engines", async () => {
+    await assert.rejects(
+      generateTaskFromDiff("some diff", { engine: "nope" }),
+      /Unknown engine: nope/,
+    );
+  });
+});
+
+describe("Structured Output Tests", () => {
+  const validTask = JSON.stringify({
+    title: "Add greeting helpers",
+    summary: "Added hello and goodbye functions",
+    technical: "Uses default parameters",
+  });
+
+  test("should validate responses against the task schema", () => {
+    assert.deepStrictEqual(
+      parseStructuredResponse(validTask, "task").errors,
+      [],
+    );
+
+    const fenced = parseStructuredResponse(
+      `\`\`\`json\n${validTask}\n\`\`\``,
+      "task",
+    );
+    assert.deepStrictEqual(fenced.errors, []);
+
+    const { errors } = parseStructuredResponse(
+      JSON.stringify({ title: "", summary: 3 }),
+      "task",
+    );
+    assert(errors.includes("response.title must not be empty"));
+    assert(errors.includes("response.summary must be of type string"));
+    assert(errors.includes("response.technical is required"));
+  });
+
+  test("should reject unknown commit types", () => {
+    const { errors } = parseStructuredResponse(
+      JSON.stringify({
+        type: "feature",
+        scope: "",
+        description: "add thing",
+        body: "",
+        breaking: false,
+        breakingDescription: "",
+      }),
+      "commit",
+    );
+
+    assert.strictEqual(errors.length, 1);
+    assert(errors[0].startsWith("response.type must be one of"));
+  });
+
+  test("should re-ask once with the validation errors", async () => {
+    const calls = [];
+    const result = await generateStructured(
+      "task",
+      "prompt",
+      async (messages) => {
+        calls.push(messages);
+        return calls.length === 1 ? '{"title": "Only a title"}' : validTask;
+      },
+    );
+
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[1].length, 3);
+    assert(calls[1][2].content.includes("response.summary is required"));
+    assert.deepStrictEqual(result, {
+      title: "Add greeting helpers",
+      summary: "Added hello and goodbye functions",
+      tech: "Uses default parameters",
+    });
+  });
+
+  test("should fail after a second invalid response", async () => {
+    await assert.rejects(
+      generateStructured("commit", "prompt", async () => "not json"),
+      /invalid commit response: response is not valid JSON/,
+    );
+  });
+
+  test("should request JSON mode from Groq", async () => {
+    const server = await startMockServer(() => ({
+      json: { choices: [{ message: { content: validTask } }] },
+    }));
+    const previousKey = process.env.GROQ_API_KEY;
+    process.env.GROQ_API_KEY = "gsk_test";
+    process.env.GROQ_BASE_URL = `${server.url}/openai/v1/chat/completions`;
+
+    try {
+      const result = await callGroq("test diff", {});
+
+      assert.strictEqual(result.tech, "Uses default parameters");
+      assert.deepStrictEqual(server.requests[0].body.response_format, {
+        type: "json_object",
+      });
+      assert(
+        server.requests[0].body.messages[0].content.includes(
+          '"technical": "Implementation notes and considerations"',
+        ),
+      );
+    } finally {
+      delete process.env.GROQ_BASE_URL;
+      if (previousKey) {
+        process.env.GROQ_API_KEY = previousKey;
+      } else {
+        delete process.env.GROQ_API_KEY;
+      }
+      await server.close();
+    }
+  });
+
+  test("should fall back to the text format when disabled", async () => {
+    const server = await startMockServer(() => ({
+      json: {
+        choices: [
+          {
+            message: {
+              content:
+                "TITLE: Text title\nSUMMARY: Text summary\nTECHNICAL: Text tech",
+            },
+          },
+        ],
+      },
+    }));
+    const previousKey = process.env.GROQ_API_KEY;
+    process.env.GROQ_API_KEY = "gsk_test";
+    process.env.GROQ_BASE_URL = `${server.url}/openai/v1/chat/completions`;
+
+    try {
+      const result = await callGroq("test diff", { structuredOutput: false });
+
+      assert.strictEqual(result.title, "Text title");
+      assert.strictEqual(server.requests[0].body.response_format, undefined);
+    } finally {
+      delete process.env.GROQ_BASE_URL;
+      if (previousKey) {
+        process.env.GROQ_API_KEY = previousKey;
+      } else {
+        delete process.env.GROQ_API_KEY;
+      }
+      await server.close();
+    }
+  });
+});
+
+describe("Task Model Tests", () => {
+  test("should normalise task field aliases", () => {
+    const task = normalizeTask(
+      {
+        title: "  Add login ",
+        summary: "Adds a login form",
+        technical: "Uses sessions",
+        type: "task",
+      },
+      { engine: "freetier", diffSource: "staged" },
+    );
+
+    assert.strictEqual(task.title, "Add login");
+    assert.strictEqual(task.tech, "Uses sessions");
+    assert.strictEqual(task.type, undefined);
+    assert.strictEqual(task.metadata.engine, "freetier");
+    assert.strictEqual(task.metadata.diffSource, "staged");
+    assert.strictEqual(task.metadata.usage, null);
+  });
+
+  test("should reject tasks without content", () => {
+    assert.throws(() => normalizeTask({}), /Invalid task result/);
+  });
+
+  test("should parse plain commit messages into commit fields", () => {
+    const commit = normalizeCommit({
+      message:
+        "feat(auth)!: drop session cookies\n\nTokens only.\n\nBREAKING CHANGE: clients must send a bearer token",
+    });
+
+    assert.strictEqual(commit.type, "feat");
+    assert.strictEqual(commit.scope, "auth");
+    assert.strictEqual(commit.description, "drop session cookies");
+    assert.strictEqual(commit.body, "Tokens only.");
+    assert.strictEqual(commit.breaking, true);
+    assert.strictEqual(
+      commit.breakingDescription,
+      "clients must send a bearer token",
+    );
+    assert.strictEqual(
+      renderCommitMessage(commit),
+      "feat(auth)!: drop session cookies\n\nTokens only.\n\nBREAKING CHANGE: clients must send a bearer token",
+    );
+  });
+
+  test("should coerce unknown commit types and clean scopes", () => {
+    const commit = normalizeCommit({
+      type: "feature",
+      scope: "(api)",
+      description: "",
+    });
+
+    assert.strictEqual(commit.type, "chore");
+    assert.strictEqual(commit.scope, "api");
+    assert.strictEqual(commit.description, "update code");
+    assert.strictEqual(parseCommitMessage("tidy up").type, "chore");
+  });
+
+  test("should sum provider token usage", () => {
+    const usage = addUsage(
+      addUsage(null, {
+        prompt_tokens: 10,
+        completion_tokens: 5,
+        total_tokens: 15,
+      }),
+      { prompt_eval_count: 7, eval_count: 3 },
+    );
+
+    assert.deepStrictEqual(usage, {
+      promptTokens: 17,
+      completionTokens: 8,
+      totalTokens: 25,
+    });
+  });
+});
+
 describe("Error Handling Tests", () => {
   test("should handle missing git repository", () => {
     // Test would require mocking execSync to simulate git errors